@@ -0,0 +1,174 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Adds a user or group to a list of coverity on polaris projects by creating role
+ *          assignments through the role-assignments api.
+ *
+ *          The principal and role are read from CONFIG.JSON:
+ *
+ *              - userIdToAssign     the user to add (or)
+ *              - groupIdToAssign    the group to add
+ *              - roleIdToAssign     the role granted on each project
+ *              - orgIdToAssign      the organization the assignment belongs to (optional)
+ *
+ *          The projects are read from "projectList.json" (created by getProjectProperties.mjs or
+ *          getProjectUserInformation.mjs) or from a CSV file with an "ID" or "Project ID" column:
+ *
+ *                  node ./assignProjectRoles.mjs
+ *                  node ./assignProjectRoles.mjs --input ./projects.csv
+ *
+ *          Projects where the principal already holds the role are skipped.
+ *
+ *      Output:
+ *
+ *          A summary of the role assignments created, skipped and failed.
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import { readCsv } from './csvReader.mjs';
+import { loadConfig, createPolarisClient, reportError } from './polarisClient.mjs';
+import { fetchProjectRoleAssignments, hasRoleAssignment, createRoleAssignment } from './roleAssignments.mjs';
+import { isMainModule, runCommand, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+
+// Read the projects from projectList.json or a CSV export, one entry per project ID
+const readProjects = async (inputPath) => {
+  let projects;
+
+  if (inputPath.toLowerCase().endsWith('.csv')) {
+    const records = await readCsv(inputPath);
+    projects = records.map(record => ({
+      id: record['ID'] || record['Project ID'],
+      name: record['Name'] || record['Project Name']
+    }));
+  } else {
+    const projectListData = await fs.readFile(inputPath, 'utf8');
+    projects = JSON.parse(projectListData);
+  }
+
+  const uniqueProjects = new Map();
+  projects.filter(project => project.id).forEach(project => {
+    if (!uniqueProjects.has(project.id)) {
+      uniqueProjects.set(project.id, project);
+    }
+  });
+
+  return [...uniqueProjects.values()];
+};
+
+// Build the list of users and groups to assign from the config
+const readPrincipals = (config) => {
+  const principals = [];
+
+  if (config.userIdToAssign && config.userIdToAssign.trim() !== '') {
+    principals.push({ type: 'users', id: config.userIdToAssign.trim() });
+  }
+
+  if (config.groupIdToAssign && config.groupIdToAssign.trim() !== '') {
+    principals.push({ type: 'groups', id: config.groupIdToAssign.trim() });
+  }
+
+  return principals;
+};
+
+export const assignProjectRoles = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input = profilePath(defaultProjectListPath, profile)
+} = {}) => {
+  const config = await loadConfig(configPath, { profile });
+
+  const principals = readPrincipals(config);
+  if (!principals.length) {
+    throw new Error('Neither userIdToAssign nor groupIdToAssign is provided in the config.');
+  }
+
+  const roleId = config.roleIdToAssign && config.roleIdToAssign.trim();
+  if (!roleId) {
+    throw new Error('roleIdToAssign is not provided in the config.');
+  }
+
+  const projects = await readProjects(input);
+  console.log(`Loaded ${projects.length} projects from ${input}`);
+
+  const client = createPolarisClient(config);
+
+  const created = [];
+  const skipped = [];
+  const failed = [];
+
+  for (const project of projects) {
+    const projectLabel = project.name ? `${project.name} (ID: ${project.id})` : `ID: ${project.id}`;
+
+    try {
+      const { data: roleAssignments } = await fetchProjectRoleAssignments(client, project.id);
+
+      for (const principal of principals) {
+        const entry = { projectId: project.id, projectName: project.name, principal: `${principal.type}/${principal.id}` };
+
+        if (hasRoleAssignment(roleAssignments, principal, roleId)) {
+          console.log(`Skipping ${projectLabel}: ${entry.principal} already has role ${roleId}`);
+          skipped.push(entry);
+          continue;
+        }
+
+        const roleAssignment = await createRoleAssignment(client, {
+          projectId: project.id,
+          principal,
+          roleId,
+          organizationId: config.orgIdToAssign && config.orgIdToAssign.trim()
+        });
+
+        console.log(`Assigned role ${roleId} to ${entry.principal} on ${projectLabel}`);
+        created.push({ ...entry, roleAssignmentId: roleAssignment?.id });
+      }
+    } catch (error) {
+      console.error(`Error assigning roles for project ${projectLabel}:`);
+      reportError(error);
+      failed.push({ projectId: project.id, projectName: project.name });
+    }
+  }
+
+  console.log(`Role assignments created: ${created.length}, skipped (already assigned): ${skipped.length}, failed projects: ${failed.length}`);
+  created.forEach(entry => console.log(`  created ${entry.roleAssignmentId || ''} ${entry.principal} -> ${entry.projectName || entry.projectId}`));
+  failed.forEach(entry => console.log(`  failed ${entry.projectName || entry.projectId}`));
+
+  if (failed.length) {
+    process.exitCode = 1;
+  }
+
+  return { created, skipped, failed };
+};
+
+export const command = {
+  description: 'Add a user or group to projects',
+  allowPositionals: true,
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' }
+  },
+  run: (values, positionals) => assignProjectRoles({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input || positionals[0]
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
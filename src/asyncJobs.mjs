@@ -0,0 +1,89 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Tracks the jobs started by the coverity on polaris async api (/api/common/async/...).
+ *          An async endpoint accepts the request and returns a job reference, either as a
+ *          Location header or as a JSON:API job resource; the change is only applied once the
+ *          job completes.  waitForJob() polls the job until it completes, fails or times out.
+ *
+ *          The polling interval and timeout are read from CONFIG.JSON:
+ *
+ *              - jobPollIntervalMs   time between polls (default 2000)
+ *              - jobTimeoutMs        give up waiting after this long (default 300000)
+ *
+ * ==========================================================================================================
+ */
+
+const defaultPollIntervalMs = 2000;
+const defaultTimeoutMs = 300000;
+
+const completedStatuses = ['completed', 'complete', 'succeeded', 'success', 'successful', 'done', 'finished'];
+const failedStatuses = ['failed', 'failure', 'error', 'cancelled', 'canceled', 'aborted'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Find the job URL in an async response, undefined when the request completed synchronously
+export const jobReference = (client, response) => {
+  const location = response.headers?.location;
+  if (location) {
+    return new URL(location, response.config?.url).toString();
+  }
+
+  const job = response.data?.data;
+  if (job?.links?.self) {
+    return new URL(job.links.self, response.config?.url).toString();
+  }
+
+  if (job?.id && client.config.jobUrlTemplate) {
+    return client.url('jobUrlTemplate', { jobId: job.id });
+  }
+
+  return undefined;
+};
+
+const jobStatus = (job) => {
+  const attributes = job?.attributes || {};
+  return String(attributes.status || attributes.state || '').toLowerCase();
+};
+
+// Poll a job until it finishes: resolves { status: 'completed' | 'failed', job }
+export const waitForJob = async (client, jobUrl) => {
+  const pollInterval = client.config.jobPollIntervalMs ?? defaultPollIntervalMs;
+  const timeout = client.config.jobTimeoutMs ?? defaultTimeoutMs;
+  const deadline = Date.now() + timeout;
+
+  for (;;) {
+    const response = await client.request({ method: 'get', url: jobUrl });
+    const job = response.data?.data;
+    const status = jobStatus(job);
+
+    if (completedStatuses.includes(status)) {
+      return { status: 'completed', job };
+    }
+
+    if (failedStatuses.includes(status)) {
+      return { status: 'failed', job };
+    }
+
+    if (Date.now() + pollInterval > deadline) {
+      throw new Error(`Timed out after ${timeout}ms waiting for job ${job?.id || jobUrl} (status: ${status || 'unknown'}).`);
+    }
+
+    await sleep(pollInterval);
+  }
+};
+
+// Describe why a job failed from its attributes
+export const jobFailureMessage = (job) => {
+  const attributes = job?.attributes || {};
+  const detail = attributes.failureReason || attributes.error || attributes.message || attributes.errors;
+  const reason = typeof detail === 'string' ? detail : detail ? JSON.stringify(detail) : 'no reason given';
+  const id = job?.id ? ` ${job.id}` : '';
+  return `job${id} ${jobStatus(job)}: ${reason}`;
+};
+
+
+/*
+ *      eof.
+ */
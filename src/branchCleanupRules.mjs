@@ -0,0 +1,135 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Selection rules for cleanupProjectBranches.mjs.  A rules file lists which branches are
+ *          stale and which must never be removed:
+ *
+ *                  {
+ *                    "activityAttribute": "updated-at",
+ *                    "rules": [
+ *                      { "name": "^feature/", "olderThanDays": 90 },
+ *                      { "olderThanDays": 365 }
+ *                    ],
+ *                    "exclude": {
+ *                      "name": ["^release/", "^develop$"],
+ *                      "id": ["..."],
+ *                      "project": ["..."]
+ *                    }
+ *                  }
+ *
+ *          A rule may hold "name" (a regular expression) and "olderThanDays" (days since the
+ *          branch attribute named by "activityAttribute", default "updated-at"); a branch must
+ *          satisfy both.  A branch is selected when any rule matches it, unless it is the default
+ *          branch of its project or it is excluded by name pattern, branch ID or project ID.
+ *          Branches without the activity attribute never match an age rule.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import { branchProjectId, isDefaultBranch } from './branchInventory.mjs';
+
+const defaultActivityAttribute = 'updated-at';
+const ruleFields = ['name', 'olderThanDays'];
+const excludeFields = ['name', 'id', 'project'];
+const dayMs = 24 * 60 * 60 * 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const compilePattern = (pattern, label) => {
+  try {
+    return new RegExp(pattern);
+  } catch (error) {
+    throw new Error(`${label}: invalid name pattern "${pattern}": ${error.message}`);
+  }
+};
+
+// Check the rules and compile the patterns: returns { rules, isExcluded(branch), activityAttribute }
+export const compileCleanupRules = ({ activityAttribute = defaultActivityAttribute, rules, exclude = {} } = {}) => {
+  if (!Array.isArray(rules) || !rules.length) {
+    throw new Error('The cleanup rules must contain a non-empty "rules" list.');
+  }
+  if (!isPlainObject(exclude) || Object.keys(exclude).some(field => !excludeFields.includes(field))) {
+    throw new Error(`"exclude" may only contain ${excludeFields.join(', ')}.`);
+  }
+
+  const compiled = rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    if (!isPlainObject(rule) || !Object.keys(rule).length || Object.keys(rule).some(field => !ruleFields.includes(field))) {
+      throw new Error(`${label}: a rule needs ${ruleFields.join(' and/or ')}, and nothing else.`);
+    }
+    if (rule.olderThanDays !== undefined && !(Number.isFinite(rule.olderThanDays) && rule.olderThanDays >= 0)) {
+      throw new Error(`${label}: "olderThanDays" must be a number of days.`);
+    }
+
+    return {
+      label,
+      namePattern: rule.name !== undefined ? compilePattern(rule.name, label) : undefined,
+      olderThanDays: rule.olderThanDays
+    };
+  });
+
+  const excludedNames = [].concat(exclude.name || []).map(pattern => compilePattern(pattern, 'exclude'));
+  const excludedIds = new Set([].concat(exclude.id || []));
+  const excludedProjects = new Set([].concat(exclude.project || []));
+
+  return {
+    activityAttribute,
+    rules: compiled,
+    isExcluded: (branch) => {
+      return excludedIds.has(branch.id) ||
+        excludedProjects.has(branchProjectId(branch)) ||
+        excludedNames.some(pattern => pattern.test(branch.attributes.name));
+    }
+  };
+};
+
+// Days since the branch's last activity, undefined when the branch does not have the attribute
+export const branchAgeDays = (branch, activityAttribute, now = Date.now()) => {
+  const time = Date.parse(branch.attributes[activityAttribute]);
+  return Number.isNaN(time) ? undefined : Math.floor((now - time) / dayMs);
+};
+
+// Split the branches into { selected: [{ branch, ageDays, rule }], protectedDefaults, excluded }
+export const selectBranches = (cleanupRules, branches, now = Date.now()) => {
+  const { rules, isExcluded, activityAttribute } = cleanupRules;
+  const selected = [];
+  const protectedDefaults = [];
+  const excluded = [];
+
+  branches.forEach(branch => {
+    const ageDays = branchAgeDays(branch, activityAttribute, now);
+    const rule = rules.find(candidate => {
+      return (!candidate.namePattern || candidate.namePattern.test(branch.attributes.name)) &&
+        (candidate.olderThanDays === undefined || (ageDays !== undefined && ageDays > candidate.olderThanDays));
+    });
+
+    if (!rule) {
+      return;
+    }
+    if (isDefaultBranch(branch)) {
+      protectedDefaults.push(branch);
+    } else if (isExcluded(branch)) {
+      excluded.push(branch);
+    } else {
+      selected.push({ branch, ageDays, rule: rule.label });
+    }
+  });
+
+  return { selected, protectedDefaults, excluded };
+};
+
+export const readCleanupRules = async (rulesPath) => {
+  const rulesData = await fs.readFile(rulesPath, 'utf8');
+  const cleanupRules = JSON.parse(rulesData);
+
+  // Validate before anything is selected
+  compileCleanupRules(cleanupRules);
+  return cleanupRules;
+};
+
+
+/*
+ *      eof.
+ */
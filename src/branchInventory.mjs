@@ -0,0 +1,107 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Branch inventory helpers for getProjectBranches.mjs: one row per branch with its
+ *          project, default flag and metadata, and a summary per project (branch count, default
+ *          branch).  The default branch of a project is the branch with "main-for-project" set.
+ *
+ *          Besides the name and the default flag, every other plain attribute the branches
+ *          endpoint returns (e.g. "updated-at") becomes a metadata column, so the inventory
+ *          keeps up with the API without changes here.
+ *
+ * ==========================================================================================================
+ */
+
+const defaultFlag = 'main-for-project';
+
+export const branchProjectId = (branch) => branch.relationships?.project?.data?.id;
+
+export const isDefaultBranch = (branch) => branch.attributes[defaultFlag] === true;
+
+const isPlainValue = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+// The attribute keys found on any branch, other than the name and the default flag, sorted
+export const metadataKeys = (branches) => {
+  const keys = new Set();
+  branches.forEach(branch => {
+    Object.entries(branch.attributes)
+      .filter(([key, value]) => key !== 'name' && key !== defaultFlag && isPlainValue(value))
+      .forEach(([key]) => keys.add(key));
+  });
+  return [...keys].sort();
+};
+
+// One row per branch, in the order of the projects; branches of projects that are not in the
+// project list follow at the end
+export const branchRows = (projects, branches) => {
+  const projectOrder = new Map(projects.map((project, index) => [project.id, index]));
+  const projectNames = new Map(projects.map(project => [project.id, project.name]));
+  const keys = metadataKeys(branches);
+  const order = (branch) => projectOrder.get(branchProjectId(branch)) ?? projects.length;
+
+  return [...branches]
+    .sort((a, b) => order(a) - order(b))
+    .map(branch => ({
+      projectId: branchProjectId(branch),
+      projectName: projectNames.get(branchProjectId(branch)) ?? '',
+      branchId: branch.id,
+      branchName: branch.attributes.name,
+      default: isDefaultBranch(branch),
+      ...Object.fromEntries(keys.map(key => [key, branch.attributes[key] ?? '']))
+    }));
+};
+
+// Branch count and default branch per project, projects without branches included
+export const summarizeBranches = (projects, branches) => {
+  const summary = new Map(projects.map(project => [project.id, {
+    projectId: project.id,
+    projectName: project.name,
+    branchCount: 0,
+    defaultBranch: '',
+    defaultBranchCount: 0
+  }]));
+
+  branches.forEach(branch => {
+    const projectId = branchProjectId(branch);
+    if (!summary.has(projectId)) {
+      summary.set(projectId, { projectId, projectName: '', branchCount: 0, defaultBranch: '', defaultBranchCount: 0 });
+    }
+
+    const entry = summary.get(projectId);
+    entry.branchCount += 1;
+    if (isDefaultBranch(branch)) {
+      entry.defaultBranchCount += 1;
+      entry.defaultBranch = entry.defaultBranch || branch.attributes.name;
+    }
+  });
+
+  return [...summary.values()];
+};
+
+// Print the projects worth a look: no branches, no default branch, or more than one
+export const reportSummary = (summary) => {
+  const withoutBranches = summary.filter(entry => !entry.branchCount);
+  const withoutDefault = summary.filter(entry => entry.branchCount && !entry.defaultBranchCount);
+  const severalDefaults = summary.filter(entry => entry.defaultBranchCount > 1);
+  const label = (entry) => `${entry.projectName || '(not in the project list)'} (ID: ${entry.projectId}), ${entry.branchCount} branches`;
+
+  console.log(`Branches: ${summary.reduce((total, entry) => total + entry.branchCount, 0)} in ${summary.length} projects`);
+  if (withoutBranches.length) {
+    console.log(`Projects without branches: ${withoutBranches.length}`);
+    withoutBranches.forEach(entry => console.log(`  ${label(entry)}`));
+  }
+  if (withoutDefault.length) {
+    console.log(`Projects without a default branch: ${withoutDefault.length}`);
+    withoutDefault.forEach(entry => console.log(`  ${label(entry)}`));
+  }
+  if (severalDefaults.length) {
+    console.log(`Projects with more than one default branch: ${severalDefaults.length}`);
+    severalDefaults.forEach(entry => console.log(`  ${label(entry)}`));
+  }
+};
+
+
+/*
+ *      eof.
+ */
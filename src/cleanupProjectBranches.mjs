@@ -0,0 +1,242 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Deletes stale branches.  The branches are selected from "branchesList.json" (written
+ *          by getProjectBranches.mjs) by name pattern and age of their last activity, either with
+ *          a rules file (see branchCleanupRules.mjs) or with the options below.  The default
+ *          branch of a project is never selected.
+ *
+ *                  node ./cleanupProjectBranches.mjs --name "^feature/" --older-than 90 --dry-run
+ *                  node ./cleanupProjectBranches.mjs --rules ./branchCleanup.json
+ *
+ *          Options:
+ *
+ *              --rules <file>           cleanup rules file
+ *              --name <pattern>         select branches whose name matches the regular expression
+ *              --older-than <days>      select branches without activity for more than this
+ *              --exclude <pattern>      never select branches whose name matches
+ *              --input <file>           branch list (default branchesList.json)
+ *              --projects <file>        project list for the project names (default projectList.json)
+ *              --log <file>             deletion log (default branchCleanupLog.json)
+ *              --concurrency <n>        branches deleted at a time (default "concurrency" in CONFIG.JSON)
+ *              --dry-run                only print the preview
+ *              --yes                    delete without asking for confirmation
+ *
+ *          A preview of every selected branch is printed first and nothing is deleted without
+ *          confirmation.  Deleted branches are removed from the branch list as well.
+ *
+ *      Output:
+ *
+ *          Every deletion (or failed attempt) is appended to "branchCleanupLog.json" with its
+ *          branch, project, last activity and time.
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import { confirm } from './prompt.mjs';
+import { loadConfig, createPolarisClient, reportError } from './polarisClient.mjs';
+import { branchProjectId } from './branchInventory.mjs';
+import { compileCleanupRules, readCleanupRules, selectBranches } from './branchCleanupRules.mjs';
+import { describeAge } from './projectCache.mjs';
+import { mapWithConcurrency, defaultConcurrency } from './workerPool.mjs';
+import { isMainModule, runCommand, UsageError, positiveInteger, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultBranchesListPath = './branchesList.json';
+const defaultProjectListPath = './projectList.json';
+const defaultLogPath = './branchCleanupLog.json';
+
+const readJsonIfExists = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined;
+    }
+    throw err;
+  }
+};
+
+// The rules from the rules file, or one rule built from the options
+const cleanupRulesFrom = async ({ rules, name, olderThan, exclude }) => {
+  if (rules && (name || olderThan !== undefined || exclude)) {
+    throw new UsageError('Use either --rules or --name/--older-than/--exclude, not both.');
+  }
+  if (rules) {
+    return compileCleanupRules(await readCleanupRules(rules));
+  }
+  if (!name && olderThan === undefined) {
+    throw new UsageError('Select the branches with --rules, --name or --older-than.');
+  }
+
+  const rule = {};
+  if (name) {
+    rule.name = name;
+  }
+  if (olderThan !== undefined) {
+    rule.olderThanDays = positiveInteger(olderThan, 'older-than');
+  }
+
+  return compileCleanupRules({ rules: [rule], exclude: exclude ? { name: [exclude] } : {} });
+};
+
+const deleteBranch = async (client, branchId) => {
+  await client.request({
+    method: 'delete',
+    url: client.url('branchUrlTemplate', { branchId })
+  });
+};
+
+export const cleanupProjectBranches = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input = profilePath(defaultBranchesListPath, profile),
+  projectListPath = profilePath(defaultProjectListPath, profile),
+  log = profilePath(defaultLogPath, profile),
+  rules,
+  name,
+  olderThan,
+  exclude,
+  concurrency,
+  dryRun = false,
+  yes = false
+} = {}) => {
+  const cleanupRules = await cleanupRulesFrom({ rules, name, olderThan, exclude });
+  const config = await loadConfig(configPath, { profile });
+  const poolSize = positiveInteger(concurrency ?? config.concurrency ?? defaultConcurrency, 'concurrency');
+
+  const branchesList = await readJsonIfExists(input);
+  if (!branchesList) {
+    throw new Error(`${input} does not exist; run getProjectBranches.mjs (polaris-cop branches) first.`);
+  }
+  const fetchedAt = branchesList.fetchedAt ? `fetched ${branchesList.fetchedAt}, ${describeAge(branchesList.fetchedAt)}` : 'fetch time unknown';
+  console.log(`Branch list loaded from ${input}: ${branchesList.data.length} branches (${fetchedAt})`);
+
+  const projectNames = new Map(((await readJsonIfExists(projectListPath)) || []).map(project => [project.id, project.name]));
+  const projectLabel = (branch) => {
+    const projectId = branchProjectId(branch);
+    return projectNames.has(projectId) ? `${projectNames.get(projectId)} (ID: ${projectId})` : `project ID ${projectId}`;
+  };
+
+  const { selected, protectedDefaults, excluded } = selectBranches(cleanupRules, branchesList.data);
+  const activity = cleanupRules.activityAttribute;
+
+  if (protectedDefaults.length) {
+    console.log(`Default branches kept: ${protectedDefaults.length}`);
+  }
+  if (excluded.length) {
+    console.log(`Excluded branches kept: ${excluded.length}`);
+  }
+
+  if (!selected.length) {
+    console.log('No branches to delete.');
+    return [];
+  }
+
+  console.log('The following branches will be deleted:');
+  selected.forEach(({ branch, ageDays, rule }) => {
+    const age = ageDays !== undefined ? `, ${activity} ${ageDays} days ago` : '';
+    console.log(`  ${projectLabel(branch)}: ${branch.attributes.name} (ID: ${branch.id}${age}, ${rule})`);
+  });
+  console.log(`Branches to delete: ${selected.length}`);
+
+  if (dryRun) {
+    console.log('Dry run, no changes made.');
+    return [];
+  }
+
+  if (!yes && !await confirm(`Delete ${selected.length} branches?`)) {
+    console.log('Exiting script without making changes.');
+    return [];
+  }
+
+  const client = createPolarisClient(config);
+  const changes = await mapWithConcurrency(selected, async ({ branch, rule }) => {
+    const change = {
+      branchId: branch.id,
+      branchName: branch.attributes.name,
+      projectId: branchProjectId(branch),
+      projectName: projectNames.get(branchProjectId(branch)),
+      [activity]: branch.attributes[activity],
+      rule
+    };
+
+    try {
+      await deleteBranch(client, branch.id);
+      change.status = 'deleted';
+      console.log(`Deleted ${branch.attributes.name} on ${projectLabel(branch)}`);
+    } catch (error) {
+      console.error(`Error deleting ${branch.attributes.name} on ${projectLabel(branch)}:`);
+      reportError(error);
+      change.status = 'failed';
+    }
+
+    change.at = new Date().toISOString();
+    return change;
+  }, { concurrency: poolSize });
+
+  // Append to the log of earlier runs
+  const previousLog = (await readJsonIfExists(log)) || [];
+  await fs.writeFile(log, JSON.stringify([...previousLog, ...changes], null, 2), 'utf8');
+
+  // Keep the branch list in step, so a second run does not select the deleted branches again
+  const deletedIds = new Set(changes.filter(change => change.status === 'deleted').map(change => change.branchId));
+  await fs.writeFile(input, JSON.stringify({ ...branchesList, data: branchesList.data.filter(branch => !deletedIds.has(branch.id)) }, null, 2), 'utf8');
+
+  const failedCount = changes.length - deletedIds.size;
+  console.log(`Branches deleted: ${deletedIds.size}, failed: ${failedCount}`);
+  console.log(`Deletion log has been saved to ${log}`);
+
+  if (failedCount) {
+    process.exitCode = 1;
+  }
+
+  return changes;
+};
+
+export const command = {
+  description: 'Delete stale branches selected by name pattern and age',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' },
+    projects: { type: 'string' },
+    log: { type: 'string' },
+    rules: { type: 'string' },
+    name: { type: 'string' },
+    'older-than': { type: 'string' },
+    exclude: { type: 'string' },
+    concurrency: { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    yes: { type: 'boolean' }
+  },
+  run: (values) => cleanupProjectBranches({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input,
+    projectListPath: values.projects,
+    log: values.log,
+    rules: values.rules,
+    name: values.name,
+    olderThan: values['older-than'],
+    exclude: values.exclude,
+    concurrency: values.concurrency,
+    dryRun: values['dry-run'],
+    yes: values.yes
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
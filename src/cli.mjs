@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          polaris-cop: one command line entry point for the coverity on polaris scripts in this
+ *          directory.  Each subcommand runs the script of the same purpose:
+ *
+ *              projects                getProjectList.mjs
+ *              properties get          getProjectProperties.mjs
+ *              properties set          setProjectProperties.mjs
+ *              properties diff         diffPropertySnapshots.mjs
+ *              properties rollback     rollbackProjectProperties.mjs
+ *              branches                getProjectBranches.mjs
+ *              branches cleanup        cleanupProjectBranches.mjs
+ *              access                  getProjectUserInformation.mjs
+ *              access assign           assignProjectRoles.mjs
+ *              access revoke           revokeProjectRoles.mjs
+ *
+ *      Usage:
+ *
+ *                  polaris-cop <command> [options]
+ *                  polaris-cop properties set --config ./prod.json --input ./projectList.json --yes
+ *
+ *          Common options:
+ *
+ *              --config <file>       config file (default ./config.json)
+ *              --profile <name>      tenant profile from the config (default $POLARIS_PROFILE);
+ *                                    default file names get the profile name: projectList.prod.json
+ *              --input <file>        input file of the command
+ *              --output <file>       JSON output file (the CSV file is written next to it)
+ *              --csv-output <file>   CSV output file
+ *              --format <format>     json, csv or both (default both)
+ *              --yes                 answer yes to every question, for non-interactive use
+ *              --help                list the commands and their options
+ *
+ *          Exit codes: 0 on success, 1 when the command fails, 2 for invalid arguments.
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import { runCommand, UsageError, runScript } from './runScript.mjs';
+import { command as projects } from './getProjectList.mjs';
+import { command as propertiesGet } from './getProjectProperties.mjs';
+import { command as propertiesSet } from './setProjectProperties.mjs';
+import { command as propertiesDiff } from './diffPropertySnapshots.mjs';
+import { command as propertiesRollback } from './rollbackProjectProperties.mjs';
+import { command as branches } from './getProjectBranches.mjs';
+import { command as branchesCleanup } from './cleanupProjectBranches.mjs';
+import { command as access } from './getProjectUserInformation.mjs';
+import { command as accessAssign } from './assignProjectRoles.mjs';
+import { command as accessRevoke } from './revokeProjectRoles.mjs';
+
+export const commands = {
+  'projects': projects,
+  'properties get': propertiesGet,
+  'properties set': propertiesSet,
+  'properties diff': propertiesDiff,
+  'properties rollback': propertiesRollback,
+  'branches': branches,
+  'branches cleanup': branchesCleanup,
+  'access': access,
+  'access assign': accessAssign,
+  'access revoke': accessRevoke
+};
+
+// Accepted by every command
+const globalOptions = {
+  config: { type: 'string' },
+  profile: { type: 'string' },
+  yes: { type: 'boolean' },
+  help: { type: 'boolean' }
+};
+
+const formatOptions = (options) => {
+  return Object.entries(options)
+    .filter(([name]) => !(name in globalOptions))
+    .map(([name, { type }]) => (type === 'boolean' ? `--${name}` : `--${name} <value>`))
+    .join(' ');
+};
+
+const usage = () => {
+  const lines = Object.entries(commands).map(([name, command]) => {
+    return `  ${name.padEnd(21)}${command.description}\n  ${''.padEnd(21)}${formatOptions(command.options)}`;
+  });
+
+  return [
+    'Usage: polaris-cop <command> [options]',
+    '',
+    'Commands:',
+    ...lines,
+    '',
+    'Options for every command: --config <file>, --profile <name>, --yes, --help'
+  ].join('\n');
+};
+
+// Find the longest command name the arguments start with: "access revoke" before "access"
+const findCommand = (args) => {
+  const twoWords = args.slice(0, 2).join(' ');
+  if (commands[twoWords]) {
+    return { name: twoWords, args: args.slice(2) };
+  }
+
+  if (commands[args[0]]) {
+    return { name: args[0], args: args.slice(1) };
+  }
+
+  return undefined;
+};
+
+const main = (args = process.argv.slice(2)) => {
+  const found = findCommand(args);
+
+  if (!found) {
+    if (!args.length || ['help', '--help', '-h'].includes(args[0])) {
+      console.log(usage());
+      return;
+    }
+
+    return runScript(() => {
+      console.error(usage());
+      throw new UsageError(`Unknown command "${args.join(' ')}".`);
+    });
+  }
+
+  if (found.args.includes('--help')) {
+    console.log(`Usage: polaris-cop ${found.name} ${formatOptions(commands[found.name].options)}`);
+    return;
+  }
+
+  const command = commands[found.name];
+  return runCommand({ ...command, options: { ...globalOptions, ...command.options } }, found.args);
+};
+
+main();
+
+
+/*
+ *      eof.
+ */
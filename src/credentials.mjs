@@ -0,0 +1,118 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Resolves the credentials used to authenticate against coverity on polaris, so they
+ *          no longer have to be stored in plain text in CONFIG.JSON.  Each value is taken from
+ *          the first of these that provides it (the password or access token always comes from
+ *          a single source):
+ *
+ *              1. environment variables
+ *
+ *                  POLARIS_EMAIL, POLARIS_PASSWORD, POLARIS_ACCESS_TOKEN
+ *
+ *              2. a credentials file, named by POLARIS_CREDENTIALS_FILE (relative to the current
+ *                 directory) or "credentialsFile" in CONFIG.JSON (relative to the config file).
+ *                 The file holds
+ *
+ *                  { "email": "...", "password": "..." }  or  { "email": "...", "accesstoken": "..." }
+ *
+ *                 The file must only be readable by its owner (chmod 600); it is refused otherwise.
+ *
+ *              3. "email", "password" and "accesstoken" in CONFIG.JSON (deprecated)
+ *
+ *          With a profile selected, each tenant keeps its own credentials and the order becomes
+ *
+ *              1. the profile's environment variables (e.g. POLARIS_STAGING_ACCESS_TOKEN for the
+ *                 "staging" profile)
+ *              2. the credentials file named by POLARIS_<PROFILE>_CREDENTIALS_FILE, else by the
+ *                 config's "credentialsFile", else by POLARIS_CREDENTIALS_FILE
+ *              3. the generic environment variables
+ *              4. "email", "password" and "accesstoken" in CONFIG.JSON (deprecated)
+ *
+ *          Every password and access token found is registered with redact.mjs, so it never
+ *          appears in the log output.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { registerSecret } from './redact.mjs';
+
+const credentialKeys = ['email', 'password', 'accesstoken'];
+
+const envVariables = {
+  email: 'POLARIS_EMAIL',
+  password: 'POLARIS_PASSWORD',
+  accesstoken: 'POLARIS_ACCESS_TOKEN'
+};
+
+const isSet = (value) => typeof value === 'string' && value.trim() !== '';
+
+// POLARIS_PASSWORD -> POLARIS_STAGING_PASSWORD for the "staging" profile
+const profileEnvName = (name, profile) => name.replace(/^POLARIS_/, `POLARIS_${profile.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_`);
+
+// The credentials in the environment, e.g. POLARIS_STAGING_PASSWORD for the "staging" profile
+const envCredentials = (env, profile) => Object.fromEntries(credentialKeys.map(key => [key, env[profile ? profileEnvName(envVariables[key], profile) : envVariables[key]]]));
+
+// The credentials file path: an environment variable is relative to the current directory, the
+// config setting to the config file
+const credentialsFilePath = (config, { configPath, profile, env }) => {
+  const fileEnvName = 'POLARIS_CREDENTIALS_FILE';
+  const profileFile = profile ? env[profileEnvName(fileEnvName, profile)] : undefined;
+  const configFile = isSet(config.credentialsFile) ? path.resolve(path.dirname(configPath), config.credentialsFile) : undefined;
+  const envFile = isSet(env[fileEnvName]) ? path.resolve(env[fileEnvName]) : undefined;
+
+  if (isSet(profileFile)) {
+    return path.resolve(profileFile);
+  }
+  return profile ? configFile || envFile : envFile || configFile;
+};
+
+// Read the credentials file, refusing files that other users can read
+export const readCredentialsFile = async (credentialsPath) => {
+  const stats = await fs.stat(credentialsPath);
+
+  if (process.platform !== 'win32' && (stats.mode & 0o077) !== 0) {
+    throw new Error(`Credentials file ${credentialsPath} must only be accessible by its owner (chmod 600 ${credentialsPath}).`);
+  }
+
+  const credentialsData = await fs.readFile(credentialsPath, 'utf8');
+  return JSON.parse(credentialsData);
+};
+
+// Return the config with email, password and accesstoken resolved from the environment, credentials file or config
+export const resolveCredentials = async (config, { configPath = './config.json', profile, env = process.env } = {}) => {
+  const fromEnv = envCredentials(env);
+
+  const credentialsFile = credentialsFilePath(config, { configPath, profile, env });
+  const fromFile = credentialsFile ? await readCredentialsFile(credentialsFile) : {};
+
+  if (isSet(config.password) || isSet(config.accesstoken)) {
+    console.warn(`Warning: ${configPath} contains a password or access token; move it to environment variables or a credentials file.`);
+  }
+
+  // The password or access token comes from the first source that has one, so a token in the
+  // environment is not overridden by a password left in the config.  With a profile the generic
+  // variables come after the profile's own file, so another tenant's token is never sent
+  const sources = profile ? [envCredentials(env, profile), fromFile, fromEnv, config] : [fromEnv, fromFile, config];
+  const secretSource = sources.find(source => isSet(source.password) || isSet(source.accesstoken)) || {};
+
+  const resolved = {
+    ...config,
+    email: sources.map(source => source.email).find(isSet) || '',
+    password: isSet(secretSource.password) ? secretSource.password : '',
+    accesstoken: isSet(secretSource.accesstoken) ? secretSource.accesstoken : ''
+  };
+
+  registerSecret(resolved.password);
+  registerSecret(resolved.accesstoken);
+
+  return resolved;
+};
+
+
+/*
+ *      eof.
+ */
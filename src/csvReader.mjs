@@ -0,0 +1,88 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Minimal CSV reader for the files written by these scripts (csv-writer / json2csv output
+ *          or the same files after editing in a spreadsheet).  Handles quoted fields, escaped
+ *          quotes ("") and line breaks inside quotes.  Each row is returned as an object keyed
+ *          by the header titles.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+
+// Split CSV text into rows of fields
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parse CSV text into { headers, records }, for callers that check the columns
+export const parseCsvTable = (text) => {
+  const [headers = [], ...rows] = parseRows(text.replace(/^\uFEFF/, ''));
+  const trimmedHeaders = headers.map(header => header.trim());
+
+  const records = rows.map(fields => trimmedHeaders.reduce((record, header, index) => {
+    record[header] = fields[index] ?? '';
+    return record;
+  }, {}));
+
+  return { headers: trimmedHeaders, records };
+};
+
+export const parseCsv = (text) => parseCsvTable(text).records;
+
+export const readCsvTable = async (csvPath) => {
+  const csvData = await fs.readFile(csvPath, 'utf8');
+  return parseCsvTable(csvData);
+};
+
+export const readCsv = async (csvPath) => {
+  return (await readCsvTable(csvPath)).records;
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,104 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Compares two property snapshots, or a snapshot with the live properties, and prints
+ *          the differences per project (+ added, ~ changed, - removed keys).  Snapshots are saved
+ *          by getProjectProperties.mjs and setProjectProperties.mjs, see propertySnapshots.mjs.
+ *
+ *                  node ./diffPropertySnapshots.mjs                        latest snapshot vs. live
+ *                  node ./diffPropertySnapshots.mjs --from 2026-10-01      that snapshot vs. live
+ *                  node ./diffPropertySnapshots.mjs --from 2026-10-01 --to latest
+ *                  node ./diffPropertySnapshots.mjs --list                 list the snapshots
+ *
+ *          The exit code is 1 when there are differences, so a scheduled run against the live
+ *          properties reports drift since the last snapshot.  Also available as
+ *          "polaris-cop properties diff".
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { snapshotDirOf, listSnapshots, readSnapshot, compareSnapshots, reportComparison } from './propertySnapshots.mjs';
+import { isMainModule, runCommand } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const live = 'live';
+
+// The live properties in the shape of a snapshot
+const fetchLiveProperties = async (config) => {
+  const client = createPolarisClient(config);
+  const { data: projectsData } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+
+  return {
+    path: 'the live properties',
+    projects: projectsData.map(project => ({
+      id: project.id,
+      name: project.attributes.name,
+      properties: project.attributes.properties || {}
+    }))
+  };
+};
+
+const loadSide = (config, reference) => {
+  return reference === live ? fetchLiveProperties(config) : readSnapshot(config, reference);
+};
+
+export const diffPropertySnapshots = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  from = 'latest',
+  to = live,
+  list = false
+} = {}) => {
+  const config = await loadConfig(configPath, { profile });
+
+  if (list) {
+    const snapshots = await listSnapshots(config);
+    const snapshotDir = snapshotDirOf(config);
+    console.log(snapshots.length ? `Property snapshots in ${snapshotDir}:` : `No property snapshots found in ${snapshotDir}.`);
+    snapshots.forEach(snapshot => console.log(`  ${snapshot.stamp}  ${snapshot.path}`));
+    return { snapshots };
+  }
+
+  const fromSnapshot = await loadSide(config, from);
+  const toSnapshot = await loadSide(config, to);
+
+  const comparison = compareSnapshots(fromSnapshot, toSnapshot);
+  if (reportComparison(comparison, fromSnapshot.path, toSnapshot.path)) {
+    process.exitCode = 1;
+  }
+
+  return comparison;
+};
+
+export const command = {
+  description: 'Compare property snapshots, or a snapshot with the live properties',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    list: { type: 'boolean' }
+  },
+  run: (values) => diffPropertySnapshots({
+    configPath: values.config,
+    profile: values.profile,
+    from: values.from,
+    to: values.to,
+    list: values.list
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,199 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Filters that narrow a run down to a few projects, users or groups:
+ *
+ *              --project-name <pattern>     project name matches the regular expression
+ *              --project-id <id,id>         project IDs
+ *              --project-type <type>        project type
+ *              --property <key[=value]>     project has the property (with that value)
+ *              --email <email>              access of this user, direct or via a group (access)
+ *              --group <name>               access of this group and its members (access)
+ *
+ *          Filters the API supports are pushed down into the JSON:API "filter[...]" query
+ *          parameters named in "serverFilters" (CONFIG.JSON), so the server only returns the
+ *          matching resources:
+ *
+ *                  "serverFilters": {
+ *                    "projectId": "filter[projects][id][$in]",
+ *                    "projectType": "filter[projects][type][$eq]",
+ *                    "branchProjectId": "filter[branches][project][id][$in]"
+ *                  }
+ *
+ *          A filter without a parameter (or with an empty one) is applied client-side.  Every
+ *          filter is applied client-side as well, so a server that ignores a parameter still
+ *          gives the right result.
+ *
+ * ==========================================================================================================
+ */
+
+import { stripPlaceholder } from './projectProperties.mjs';
+import { branchProjectId } from './branchInventory.mjs';
+import { UsageError } from './runScript.mjs';
+
+// Longest ID list sent in one query parameter; longer lists are filtered client-side
+const maxPushedIds = 100;
+
+// Command line options of the project filters and the principal filters
+export const projectFilterOptions = {
+  'project-name': { type: 'string' },
+  'project-id': { type: 'string' },
+  'project-type': { type: 'string' },
+  property: { type: 'string' }
+};
+
+export const principalFilterOptions = {
+  email: { type: 'string' },
+  group: { type: 'string' }
+};
+
+// Command line values -> parseFilters() input
+export const filterValues = (values) => ({
+  projectName: values['project-name'],
+  projectId: values['project-id'],
+  projectType: values['project-type'],
+  property: values.property,
+  email: values.email,
+  group: values.group
+});
+
+// Check the filter values: returns { projectName, projectIds, projectType, property, email, group }
+export const parseFilters = ({ projectName, projectId, projectType, property, email, group } = {}) => {
+  const filters = {};
+
+  if (projectName) {
+    try {
+      filters.projectName = new RegExp(projectName);
+    } catch (error) {
+      throw new UsageError(`Invalid project name pattern "${projectName}": ${error.message}`);
+    }
+  }
+  if (projectId) {
+    filters.projectIds = [].concat(projectId).flatMap(ids => ids.split(',')).map(id => id.trim()).filter(Boolean);
+  }
+  if (projectType) {
+    filters.projectType = projectType;
+  }
+  if (property) {
+    const [key, ...value] = property.split('=');
+    if (!key.trim()) {
+      throw new UsageError(`Invalid property filter "${property}", expected key or key=value.`);
+    }
+    filters.property = { key: key.trim(), value: value.length ? value.join('=') : undefined };
+  }
+  if (email) {
+    filters.email = email.toLowerCase();
+  }
+  if (group) {
+    filters.group = group;
+  }
+
+  return filters;
+};
+
+export const hasProjectFilters = (filters = {}) => {
+  return Boolean(filters.projectName || filters.projectIds || filters.projectType || filters.property);
+};
+
+export const hasPrincipalFilters = (filters = {}) => Boolean(filters.email || filters.group);
+
+// "name ~ /^pay/, type = library" for the log
+export const describeFilters = (filters = {}) => {
+  return [
+    filters.projectName && `name ~ /${filters.projectName.source}/`,
+    filters.projectIds && `id in ${filters.projectIds.join(', ')}`,
+    filters.projectType && `type = ${filters.projectType}`,
+    filters.property && (filters.property.value === undefined ? `has property ${filters.property.key}` : `${filters.property.key} = ${filters.property.value}`),
+    filters.email && `email = ${filters.email}`,
+    filters.group && `group = ${filters.group}`
+  ].filter(Boolean).join(', ');
+};
+
+// Match a project given as { id, name, type, properties }
+export const matchesProject = (filters = {}, project) => {
+  const properties = stripPlaceholder(project.properties || {});
+
+  return (!filters.projectName || filters.projectName.test(project.name || '')) &&
+    (!filters.projectIds || filters.projectIds.includes(project.id)) &&
+    (!filters.projectType || project.type === filters.projectType) &&
+    (!filters.property || (filters.property.key in properties &&
+      (filters.property.value === undefined || String(properties[filters.property.key]) === filters.property.value)));
+};
+
+// The matcher of a filtered fetch's scope (see projectCache.mjs), undefined when it is unfiltered
+export const projectScope = (filters) => hasProjectFilters(filters) ? (project) => matchesProject(filters, project) : undefined;
+
+// The same as matchesProject() for a JSON:API project resource
+export const matchesProjectResource = (filters, project) => matchesProject(filters, { id: project.id, ...project.attributes });
+
+// Match a row of getProjectUserInformation.mjs ({ userType, name, email, access }); the member
+// rows of a group count for the member's email and for the group
+export const matchesPrincipal = (filters = {}, row) => {
+  if (filters.email && (row.userType !== 'User' || (row.email || '').toLowerCase() !== filters.email)) {
+    return false;
+  }
+  if (filters.group && !(row.userType === 'GroupName' ? row.name === filters.group : row.access === `Via group ${filters.group}`)) {
+    return false;
+  }
+  return true;
+};
+
+// Set the server filter parameter named in the config, if there is one
+const pushDown = (config, url, filterName, value) => {
+  const parameter = (config.serverFilters || {})[filterName];
+  if (parameter) {
+    url.searchParams.set(parameter, value);
+  }
+};
+
+// Fetch the projects matching the filters: resolves { data } like client.list()
+export const fetchProjects = async (client, filters = {}, { limit } = {}) => {
+  // An empty ID list matches nothing; an empty filter parameter might match everything
+  if (filters.projectIds && !filters.projectIds.length) {
+    console.log(`Projects matching the filters (${describeFilters(filters)}): none, nothing fetched`);
+    return { data: [] };
+  }
+
+  const projectsUrl = new URL(client.url('projectsUrlTemplate'));
+  if (filters.projectIds && filters.projectIds.length <= maxPushedIds) {
+    pushDown(client.config, projectsUrl, 'projectId', filters.projectIds.join(','));
+  }
+  if (filters.projectType) {
+    pushDown(client.config, projectsUrl, 'projectType', filters.projectType);
+  }
+
+  const { data } = await client.list(projectsUrl.toString(), { limit });
+  if (!hasProjectFilters(filters)) {
+    return { data };
+  }
+
+  const matching = data.filter(project => matchesProjectResource(filters, project));
+  console.log(`Projects matching the filters (${describeFilters(filters)}): ${matching.length} of ${data.length} fetched`);
+  return { data: matching };
+};
+
+// Fetch the branches, of the given projects only when projectIds is set: resolves { data }
+export const fetchBranches = async (client, projectIds) => {
+  if (projectIds && !projectIds.length) {
+    return { data: [] };
+  }
+
+  const branchesUrl = new URL(client.url('branchesUrlTemplate', { offset: 0 }));
+  if (projectIds && projectIds.length <= maxPushedIds) {
+    pushDown(client.config, branchesUrl, 'branchProjectId', projectIds.join(','));
+  }
+
+  const { data } = await client.list(branchesUrl.toString());
+  if (!projectIds) {
+    return { data };
+  }
+
+  const wanted = new Set(projectIds);
+  return { data: data.filter(branch => wanted.has(branchProjectId(branch))) };
+};
+
+
+/*
+ *      eof.
+ */
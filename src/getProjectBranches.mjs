@@ -1,237 +1,232 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Branch inventory of every project.  All branches are fetched and written to
+ *          "branchesList.json" ({ fetchedAt, data }); the branches added, removed or renamed since
+ *          the previous run are reported.  Two CSV files are written for filtering in a
+ *          spreadsheet (see branchInventory.mjs):
+ *
+ *              - projectBranches.csv         one row per branch: project ID and name, branch ID and
+ *                                            name, default flag and the metadata the API returns
+ *                                            (e.g. updated-at)
+ *              - projectBranchSummary.csv    one row per project: branch count and default branch
+ *
+ *          Projects without a default branch, or with more than one, are listed on the console.
+ *
+ *          The projects come from "projectList.json" (--input), which is fetched when it does not
+ *          exist and refreshed when it is older than "projectListMaxAgeHours", with --refresh, or
+ *          when a branch belongs to a project it does not list (see projectCache.mjs).  Branches
+ *          whose project is still missing are reported as orphaned and kept in the CSV files
+ *          without a project name; projects without branches are listed with a count of 0.
+ *
+ *                  node ./getProjectBranches.mjs [--output <file>] [--csv-output <file>]
+ *                                                [--summary-output <file>] [--format json|csv|both]
+ *                                                [--refresh]
+ *
+ *          --project-name, --project-id, --project-type and --property narrow the inventory down
+ *          to the matching projects (see fetchFilters.mjs).  Only their branches are fetched,
+ *          passing the project IDs to the API where it supports it, and only their branches are
+ *          replaced in "branchesList.json"; the branches of the other projects are kept.
+ *
+ *      Date:
+ *
+ *          October 19, 2026
+ *                  -- Record the fetch time and report the branch changes instead of asking to
+ *                     delete branchesList.json
+ *                  -- One row per branch and a summary per project instead of one ragged row per
+ *                     project
+ *                  -- Fetch or refresh the project list when needed and report orphaned branches
+ *                     instead of dropping them
+ *                  -- Project filters, pushed down to the API where it supports them
+ *
+ * ==========================================================================================================
+ */
 
-
-import axios from 'axios';
 import fs from 'fs/promises';
-import readline from 'readline';
 import { parseAsync } from 'json2csv';
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { describeAge, loadProjectList } from './projectCache.mjs';
+import { projectFilterOptions, filterValues, parseFilters, hasProjectFilters, fetchBranches } from './fetchFilters.mjs';
+import { branchProjectId, branchRows, metadataKeys, summarizeBranches, reportSummary } from './branchInventory.mjs';
+import { isMainModule, runCommand, checkFormat, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+const defaultBranchesListPath = './branchesList.json';
+const defaultCsvPath = './projectBranches.csv';
+const defaultSummaryPath = './projectBranchSummary.csv';
+
+export const getProjectBranches = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input = profilePath(defaultProjectListPath, profile),
+  output = profilePath(defaultBranchesListPath, profile),
+  csvOutput = profilePath(defaultCsvPath, profile),
+  summaryOutput = profilePath(defaultSummaryPath, profile),
+  format = 'both',
+  refresh = false,
+  filters = {}
+} = {}) => {
+  checkFormat(format);
+  const projectFilters = parseFilters(filters);
+  const filtered = hasProjectFilters(projectFilters);
+
+  const branchesListPath = format !== 'csv' ? output : undefined;
+  const csvPath = format !== 'json' ? csvOutput : undefined;
+
+  const config = await loadConfig(configPath, { profile });
+  const client = createPolarisClient(config);
+  let { projects, refreshed } = await loadProjectList(client, config, input, { refresh, filters: projectFilters });
+
+  // Fetch all branches (of the matching projects) with pagination
+  const { data: allBranches } = await fetchBranches(client, filtered ? projects.map(project => project.id) : undefined);
+
+  // A branch of an unknown project means the project list is out of date: refresh it once, and
+  // report the branches whose project is still missing.  A filtered fetch has none.
+  let orphans = filtered ? [] : findOrphans(projects, allBranches);
+  if (orphans.length && !refreshed) {
+    console.log(`${orphans.length} branches belong to projects that are not in ${input}, refreshing it.`);
+    ({ projects } = await loadProjectList(client, config, input, { refresh: true }));
+    orphans = findOrphans(projects, allBranches);
+  }
+  if (orphans.length) {
+    reportOrphans(orphans, input);
+  }
 
-const configPath = './config.json';
-const projectListPath = './projectList.json';
-const branchesListPath = './branchesList.json';
-const outputCsvPath = './projectBranches.csv';
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
+  if (branchesListPath) {
+    // Report what changed since the branches list was last written, then replace it
+    const previous = await readBranchesList(branchesListPath);
 
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
+    // After a filtered fetch the branches of the other projects are kept as they were
+    const projectIds = new Set(projects.map(project => project.id));
+    const otherBranches = filtered && previous ? (previous.data || []).filter(branch => !projectIds.has(branchProjectId(branch))) : [];
 
-const fetchBranchesWithAuth = async () => {
-  try {
-    // Check if branchesList.json already exists
-    let fileExists = false;
-    try {
-      await fs.access(branchesListPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-    }
-
-    if (fileExists) {
-      const answer = await askQuestion('branchesList.json already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return;
-      }
-      await fs.unlink(branchesListPath);
-      console.log('Existing branchesList.json file deleted.');
+    if (previous) {
+      const inScope = filtered ? (previous.data || []).filter(branch => projectIds.has(branchProjectId(branch))) : previous.data;
+      reportBranchChanges({ ...previous, data: inScope }, allBranches);
     }
 
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-
-    // Replace {customer} placeholder in URLs
-    const authUrl = config.authUrlTemplate?.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template?.replace('{customer}', config.customer);
-    const branchesUrlTemplate = config.branchesUrlTemplate?.replace('{customer}', config.customer);
+    const jsonContent = JSON.stringify({ fetchedAt: new Date().toISOString(), data: [...allBranches, ...otherBranches] }, null, 2);
 
-    if (!authUrl || !authUrlV2 || !branchesUrlTemplate) {
-      throw new Error('One or more URL templates are missing or not correctly defined in the config.');
-    }
+    // Write JSON content to file
+    await fs.writeFile(branchesListPath, jsonContent, 'utf8');
+    console.log(`Branches list has been saved to ${branchesListPath}`);
+  }
 
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
+  const summary = summarizeBranches(projects, allBranches);
+  reportSummary(summary);
 
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
+  if (csvPath) {
+    await writeBranchesCsv(projects, allBranches, csvPath);
+    await writeSummaryCsv(summary, summaryOutput);
+  }
 
-    let token;
+  return allBranches;
+};
 
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
+const readBranchesList = async (branchesListPath) => {
+  try {
+    return JSON.parse(await fs.readFile(branchesListPath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined;
     }
+    throw err;
+  }
+};
 
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
+const reportBranchChanges = (previous, branches) => {
+  const previousById = new Map((previous.data || []).map(branch => [branch.id, branch]));
+  const currentIds = new Set(branches.map(branch => branch.id));
+  const label = (branch) => `${branch.attributes.name} (ID: ${branch.id}, project ${branch.relationships.project.data.id})`;
+
+  const lines = [
+    ...branches.filter(branch => !previousById.has(branch.id)).map(branch => `  + added: ${label(branch)}`),
+    ...(previous.data || []).filter(branch => !currentIds.has(branch.id)).map(branch => `  - removed: ${label(branch)}`),
+    ...branches
+      .filter(branch => previousById.has(branch.id) && previousById.get(branch.id).attributes.name !== branch.attributes.name)
+      .map(branch => `  ~ renamed: "${previousById.get(branch.id).attributes.name}" -> "${branch.attributes.name}" (ID: ${branch.id})`)
+  ];
+
+  // Files written before the fetch time was recorded have no fetchedAt
+  const since = previous.fetchedAt ? ` since the last fetch (${previous.fetchedAt}, ${describeAge(previous.fetchedAt)})` : '';
+  console.log(lines.length ? `Branch changes${since}:\n${lines.join('\n')}` : `No branch changes${since}.`);
+};
 
-    if (!token) {
-      throw new Error('No access token found in the response.');
-    }
+// Branches whose project is not in the project list
+const findOrphans = (projects, branches) => {
+  const projectIds = new Set(projects.map(project => project.id));
+  return branches.filter(branch => !projectIds.has(branchProjectId(branch)));
+};
 
-    // Initialize variables for pagination
-    let offset = 0;
-    let allBranches = [];
-    let moreBranches = true;
-
-    // Loop to fetch all branches with pagination
-    while (moreBranches) {
-      const branchesUrl = branchesUrlTemplate.replace('{offset}', offset);
-
-      console.log(`Fetching branches with URL: ${branchesUrl}`);
-      const branchesConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: branchesUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-
-      try {
-        const branchesResponse = await axios.request(branchesConfig);
-        if (branchesResponse.status === 200) {
-          const branchesData = branchesResponse.data.data;
-
-          allBranches = [...allBranches, ...branchesData];
-
-          // Check if there are more branches to fetch
-          moreBranches = branchesData.length === 500;
-          offset += 500;
-        } else {
-          console.error(`HTTP Error: ${branchesResponse.status} - ${branchesResponse.statusText}`);
-          console.error('Response data:', branchesResponse.data);
-          moreBranches = false;
-        }
-      } catch (branchError) {
-        console.error(`Error fetching branches:`, JSON.stringify(branchError.response ? branchError.response.data : branchError.message, null, 2));
-        moreBranches = false;
-      }
-    }
+const reportOrphans = (orphans, projectListPath) => {
+  console.error(`Branches whose project is not in ${projectListPath}: ${orphans.length}`);
+  orphans.forEach(branch => console.error(`  ${branch.attributes.name} (ID: ${branch.id}), project ID ${branchProjectId(branch)}`));
+};
 
-    const jsonContent = JSON.stringify({ data: allBranches }, null, 2);
+// One row per branch, with its project, default flag and metadata columns
+const writeBranchesCsv = async (projects, branches, csvPath) => {
+  const fields = [
+    { label: 'Project ID', value: 'projectId' },
+    { label: 'Project Name', value: 'projectName' },
+    { label: 'Branch ID', value: 'branchId' },
+    { label: 'Branch Name', value: 'branchName' },
+    { label: 'Default', value: 'default' },
+    ...metadataKeys(branches).map(key => ({ label: key, value: key }))
+  ];
+
+  const csvOutput = await parseAsync(branchRows(projects, branches), { fields, header: true });
+  await fs.writeFile(csvPath, csvOutput, 'utf8');
+  console.log(`Project branches have been saved to ${csvPath}`);
+};
 
-    // Write JSON content to file
-    await fs.writeFile(branchesListPath, jsonContent, 'utf8');
-    console.log('Branches list has been saved to branchesList.json');
-
-    // Call the function to associate projects to branches
-    await associateProjectsToBranches();
-
-  } catch (error) {
-    if (error.response) {
-      // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
-    } else {
-      // Handle other errors
-      console.error('Error:', error.message);
-    }
-  } finally {
-    rl.close();
-  }
+// Branch count and default branch per project
+const writeSummaryCsv = async (summary, summaryPath) => {
+  const fields = [
+    { label: 'Project ID', value: 'projectId' },
+    { label: 'Project Name', value: 'projectName' },
+    { label: 'Branch Count', value: 'branchCount' },
+    { label: 'Default Branch', value: 'defaultBranch' },
+    { label: 'Default Branch Count', value: 'defaultBranchCount' }
+  ];
+
+  const csvOutput = await parseAsync(summary, { fields, header: true });
+  await fs.writeFile(summaryPath, csvOutput, 'utf8');
+  console.log(`Branch summary per project has been saved to ${summaryPath}`);
 };
 
-const associateProjectsToBranches = async () => {
-  try {
-    // Read project list
-    const projectListData = await fs.readFile(projectListPath, 'utf8');
-    const projectList = JSON.parse(projectListData);
-
-    // Read branches list
-    const branchesListData = await fs.readFile(branchesListPath, 'utf8');
-    const branchesList = JSON.parse(branchesListData);
-
-    // Create a map of project IDs to project names and associated branches
-    const projectMap = projectList.reduce((map, project) => {
-      map[project.id] = { name: project.name, branches: [] };
-      return map;
-    }, {});
-
-    // Associate branches to their respective projects
-    branchesList.data.forEach(branch => {
-      const projectId = branch.relationships.project.data.id;
-      if (projectMap[projectId]) {
-        projectMap[projectId].branches.push(branch.attributes.name);
-      }
-    });
-
-    // Prepare data for CSV
-    const csvData = Object.values(projectMap).map(project => {
-      return {
-        projectName: project.name,
-        ...project.branches.reduce((obj, branchName, index) => {
-          obj[`branchName${index + 1}`] = branchName;
-          return obj;
-        }, {})
-      };
-    });
-
-    // Convert the data to CSV format
-    const csvOutput = await parseAsync(csvData, {
-      fields: ['projectName', ...Array.from({ length: Math.max(...csvData.map(project => Object.keys(project).length - 1)) }, (_, i) => `branchName${i + 1}`)],
-      header: true
-    });
-
-    // Write the CSV content to file
-    await fs.writeFile(outputCsvPath, csvOutput, 'utf8');
-    console.log('Project branches have been saved to projectBranches.csv');
-
-  } catch (error) {
-    console.error('Error:', error.message);
-  }
+export const command = {
+  description: 'Fetch every branch with its project, default flag and metadata',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' },
+    output: { type: 'string' },
+    'csv-output': { type: 'string' },
+    'summary-output': { type: 'string' },
+    format: { type: 'string' },
+    refresh: { type: 'boolean' },
+    ...projectFilterOptions
+  },
+  run: (values) => getProjectBranches({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input,
+    output: values.output,
+    csvOutput: values['csv-output'],
+    summaryOutput: values['summary-output'],
+    format: values.format,
+    refresh: values.refresh,
+    filters: filterValues(values)
+  })
 };
 
-fetchBranchesWithAuth();
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
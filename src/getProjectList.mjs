@@ -0,0 +1,118 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Fetches the list of coverity on polaris projects (ID, name and type) and writes it to
+ *          "projectList.json" and "projectList.overview.csv".  The CSV file is not named
+ *          "projectList.csv", which is the properties export of getProjectProperties.mjs; it is
+ *          only an overview, so it is overwritten without asking.  The list is the input of the
+ *          branches, access and role-assignment commands.  Use getProjectProperties.mjs instead
+ *          when the project properties are needed.
+ *
+ *          An existing "projectList.json" is refreshed rather than replaced: new, removed and
+ *          renamed projects are merged into it, local property edits are kept and the changes
+ *          since the last sync are reported (see projectCache.mjs).  --overwrite replaces it.
+ *
+ *                  node ./getProjectList.mjs [--output <file>] [--format json|csv|both] [--overwrite]
+ *
+ *          --project-name, --project-id, --project-type and --property fetch only the matching
+ *          projects (see fetchFilters.mjs); the other entries of "projectList.json" are kept.
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *                  -- Project filters, pushed down to the API where it supports them
+ *                  -- Write the CSV file to projectList.overview.csv, apart from the properties export
+ *                  -- Overwrite the overview CSV file without asking
+ *
+ * ==========================================================================================================
+ */
+
+import { createObjectCsvWriter } from 'csv-writer';
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { refreshProjectList } from './projectCache.mjs';
+import { projectFilterOptions, filterValues, parseFilters, fetchProjects, projectScope } from './fetchFilters.mjs';
+import { isMainModule, runCommand, checkFormat, csvPathFor, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+
+// projectList.json -> projectList.overview.csv
+const overviewCsvPathFor = (jsonPath) => csvPathFor(jsonPath).replace(/\.csv$/i, '.overview.csv');
+
+export const getProjectList = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  output = profilePath(defaultProjectListPath, profile),
+  csvOutput = overviewCsvPathFor(output),
+  format = 'both',
+  overwrite = false,
+  filters = {}
+} = {}) => {
+  checkFormat(format);
+  const projectFilters = parseFilters(filters);
+
+  const projectListPath = format !== 'csv' ? output : undefined;
+  const csvPath = format !== 'json' ? csvOutput : undefined;
+
+  const client = createPolarisClient(await loadConfig(configPath, { profile }));
+  const { data: projectsData } = await fetchProjects(client, projectFilters, { limit: 500 });
+
+  const fetchedProjects = projectsData.map(project => ({
+    id: project.id,
+    name: project.attributes.name,
+    type: project.attributes.type
+  }));
+
+  const allProjects = projectListPath
+    ? await refreshProjectList(projectListPath, fetchedProjects, { overwrite, inScope: projectScope(projectFilters) })
+    : fetchedProjects;
+
+  if (csvPath) {
+    const csvWriter = createObjectCsvWriter({
+      path: csvPath,
+      header: [
+        { id: 'id', title: 'ID' },
+        { id: 'name', title: 'Name' },
+        { id: 'type', title: 'Type' }
+      ]
+    });
+
+    await csvWriter.writeRecords(allProjects);
+    console.log(`Project list has been saved to ${csvPath}`);
+  }
+
+  return allProjects;
+};
+
+export const command = {
+  description: 'Fetch the project list (ID, name, type)',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    output: { type: 'string' },
+    'csv-output': { type: 'string' },
+    format: { type: 'string' },
+    overwrite: { type: 'boolean' },
+    yes: { type: 'boolean' },
+    ...projectFilterOptions
+  },
+  run: (values) => getProjectList({
+    configPath: values.config,
+    profile: values.profile,
+    output: values.output,
+    csvOutput: values['csv-output'],
+    format: values.format,
+    overwrite: values.overwrite,
+    filters: filterValues(values)
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
@@ -39,13 +39,47 @@
  *      Output:
  * 
  *          There are two output files provided:  CSV and JSON.  Both are titled "projectList" with 
- *          the associated extension.
+ *          the associated extension.  Use --output, --csv-output and --format json|csv|both to
+ *          change them, --config for another config file and --yes to replace an existing CSV
+ *          file without asking (also available as "polaris-cop properties get").
+ *
+ *          An existing "projectList.json" is refreshed instead of replaced: new, removed and
+ *          renamed projects are merged into it, properties changed on the server are taken over
+ *          unless they were edited locally, and the changes since the last sync are reported.
+ *          The fetch time is kept in "projectList.cache.json" (see projectCache.mjs).  Use
+ *          --overwrite to discard the local edits and start from the server's list.
+ *
+ *          The CSV file has one "property:<key>" column per property, so it can be edited in a
+ *          spreadsheet and passed back to setProjectProperties.mjs with --input projectList.csv.
+ *
+ *          With a property schema (--schema, or "propertySchema" in CONFIG.JSON, see
+ *          propertySchema.mjs) the live properties of every project are checked against it and
+ *          the violations are reported per project; the exit code is 1 when any project is
+ *          invalid.  --audit only runs that check, without writing the output files:
+ *
+ *                  node ./getProjectProperties.mjs --audit --schema ./propertySchema.json
+ *
+ *          Each fetch also saves a timestamped snapshot of the properties of every project to
+ *          "snapshotDir" (see propertySnapshots.mjs), to compare with diffPropertySnapshots.mjs
+ *          and restore with rollbackProjectProperties.mjs.
+ *
+ *          --project-name, --project-id, --project-type and --property narrow the run down to the
+ *          matching projects (see fetchFilters.mjs): only those are fetched, audited and saved in
+ *          the snapshot, and the other entries of an existing "projectList.json" are kept.
  * 
  * 
  *      Date: 
  *          
  *          May 21, 2024 -- Initial build
  *                  -- David Nester (dnester@synopsys.com)
+ *
+ *          October 19, 2026
+ *                  -- Command line options, runnable through cli.mjs (polaris-cop)
+ *                  -- One CSV column per property key (see propertiesCsv.mjs)
+ *                  -- Audit the live properties against a property schema (--schema, --audit)
+ *                  -- Refresh the existing project list instead of deleting it (--overwrite)
+ *                  -- Save a property snapshot on every fetch
+ *                  -- Project filters, pushed down to the API where it supports them
  * 
  * ==========================================================================================================
  */
@@ -53,237 +87,134 @@
 
 
 
-import axios from 'axios';
-import fs from 'fs/promises';
-import readline from 'readline';
 import { createObjectCsvWriter } from 'csv-writer';
-
-const configPath = './config.json';
-const projectListPath = './projectList.json';
-const csvPath = './projectList.csv';
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
-
-const fetchProjectsWithAuth = async () => {
-  try {
-    // Check if projectList.json already exists
-    let fileExists = false;
-    try {
-      await fs.access(projectListPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-    }
-
-    if (fileExists) {
-      const answer = await askQuestion('projectList.json already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return;
-      }
-      await fs.unlink(projectListPath);
-      console.log('Existing projectList.json file deleted.');
-    }
-
-    // Check if projectList.csv already exists
-    fileExists = false;
-    try {
-      await fs.access(csvPath);
-      fileExists = true;
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-    }
-
-    if (fileExists) {
-      const answer = await askQuestion('projectList.csv already exists. Do you want to delete it? [ yes | no ]: ');
-      if (!['yes', 'y'].includes(answer.toLowerCase())) {
-        console.log('Exiting script without making changes.');
-        rl.close();
-        return;
-      }
-      await fs.unlink(csvPath);
-      console.log('Existing projectList.csv file deleted.');
-    }
-
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-
-    // Replace {customer} placeholder in URLs
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-    const setPropertyUrl = config.setPropertyUrlTemplate.replace('{customer}', config.customer);
-    const projectsUrl = config.projectsUrlTemplate.replace('{customer}', config.customer);
-    const baseProjectsUrl = projectsUrl.split('?')[0];
-
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
-
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-    let token;
-
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
-
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
-
-    if (!token) {
-      throw new Error('No access token found in the response.');
+import { confirmOverwrite } from './prompt.mjs';
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { propertiesCsvHeader, propertiesCsvRecords } from './propertiesCsv.mjs';
+import { refreshProjectList } from './projectCache.mjs';
+import { writeSnapshot } from './propertySnapshots.mjs';
+import { projectFilterOptions, filterValues, parseFilters, fetchProjects, projectScope, describeFilters } from './fetchFilters.mjs';
+import { readSchema, validateProperties, reportViolations } from './propertySchema.mjs';
+import { isMainModule, runCommand, UsageError, checkFormat, csvPathFor, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+
+export const getProjectProperties = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  output = profilePath(defaultProjectListPath, profile),
+  csvOutput = csvPathFor(output),
+  format = 'both',
+  overwrite = false,
+  yes = false,
+  schema,
+  audit = false,
+  filters = {}
+} = {}) => {
+  checkFormat(format);
+  const projectFilters = parseFilters(filters);
+
+  // An audit only checks the live properties against the schema and writes no files
+  const projectListPath = !audit && format !== 'csv' ? output : undefined;
+  let csvPath = !audit && format !== 'json' ? csvOutput : undefined;
+
+  // The CSV file may hold spreadsheet edits, so it is only replaced after confirmation
+  if (csvPath && !await confirmOverwrite(csvPath, { yes })) {
+    console.log(`Keeping the existing ${csvPath}.`);
+    csvPath = undefined;
+
+    if (!projectListPath) {
+      console.log('Exiting script without making changes.');
+      return;
     }
+  }
 
-    // Remove if you need to check JWT
-    // console.log('Retrieved access token:', token);
-
-    // Initialize variables for pagination
-    let offset = 0;
-    const limit = 5;
-    let allProjects = [];
-    let moreProjects = true;
-
-    // Loop to fetch all projects with pagination
-    while (moreProjects) {
-      const projectsUrlWithPagination = `${baseProjectsUrl}?page[limit]=${limit}&page[offset]=${offset}`;
-
-      // Config for fetching projects
-      const projectsConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: projectsUrlWithPagination,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
-      };
-
-      console.log(`Fetching projects with offset=${offset}...`);
-      // Request to fetch projects
-      const projectsResponse = await axios.request(projectsConfig);
-      console.log('Projects response received:', projectsResponse.status, projectsResponse.statusText);
-
-      if (projectsResponse.status === 200) {
-        const projectsData = projectsResponse.data.data;
-        const formattedProjects = projectsData.map(project => ({
-          id: project.id,
-          type: project.attributes.type,
-          properties: Object.keys(project.attributes.properties).length ? project.attributes.properties : { key: 'value' },
-          name: project.attributes.name,
-          branches: project.relationships.branches.links.related
-        }));
-
-        allProjects = [...allProjects, ...formattedProjects];
+  const config = await loadConfig(configPath, { profile });
+  const client = createPolarisClient(config);
 
-        // Check if there are more projects to fetch
-        moreProjects = projectsData.length === limit;
-        offset += limit;
-      } else {
-        console.error(`HTTP Error: ${projectsResponse.status} - ${projectsResponse.statusText}`);
-        moreProjects = false;
-      }
-    }
+  const schemaPath = schema || config.propertySchema;
+  if (audit && !schemaPath) {
+    throw new UsageError('--audit needs a property schema (--schema or "propertySchema" in the config).');
+  }
+  const propertySchema = schemaPath ? await readSchema(schemaPath) : undefined;
 
-    const jsonContent = JSON.stringify(allProjects, null, 2);
+  // Fetch all (matching) projects with pagination
+  const { data: projectsData } = await fetchProjects(client, projectFilters);
 
-    // Write JSON content to file
-    await fs.writeFile(projectListPath, jsonContent, 'utf8');
-    console.log('Project list has been saved to projectList.json');
+  // Keep a timestamped record of the properties, see propertySnapshots.mjs
+  if (!audit) {
+    await writeSnapshot(config, projectsData, { source: 'properties get', filters: describeFilters(projectFilters) });
+  }
 
-    // Write CSV content to file
+  const fetchedProjects = projectsData.map(project => ({
+    id: project.id,
+    type: project.attributes.type,
+    properties: Object.keys(project.attributes.properties).length ? project.attributes.properties : { key: 'value' },
+    name: project.attributes.name,
+    branches: project.relationships.branches.links.related
+  }));
+
+  // Merge into the existing project list, keeping local property edits
+  const allProjects = projectListPath
+    ? await refreshProjectList(projectListPath, fetchedProjects, { overwrite, inScope: projectScope(projectFilters) })
+    : fetchedProjects;
+
+  if (csvPath) {
+    // One column per property key, so the file can be edited in a spreadsheet and read back
     const csvWriter = createObjectCsvWriter({
       path: csvPath,
-      header: [
-        { id: 'id', title: 'ID' },
-        { id: 'type', title: 'Type' },
-        { id: 'properties', title: 'Properties' },
-        { id: 'name', title: 'Name' },
-        { id: 'branches', title: 'Branches' }
-      ]
+      header: propertiesCsvHeader(allProjects)
     });
 
-    // Convert properties object to a string for CSV output
-    const csvData = allProjects.map(project => ({
-      ...project,
-      properties: JSON.stringify(project.properties)
-    }));
+    await csvWriter.writeRecords(propertiesCsvRecords(allProjects));
+    console.log(`Project list has been saved to ${csvPath}`);
+  }
 
-    await csvWriter.writeRecords(csvData);
-    console.log('Project list has been saved to projectList.csv');
+  // Audit the live properties
+  if (propertySchema) {
+    const invalidCount = reportViolations(projectsData.map(project => ({
+      id: project.id,
+      name: project.attributes.name,
+      violations: validateProperties(propertySchema, project.attributes.properties)
+    })));
 
-  } catch (error) {
-    if (error.response) {
-      // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
-    } else {
-      // Handle other errors
-      console.error('Error:', error.message);
+    if (invalidCount) {
+      process.exitCode = 1;
     }
-  } finally {
-    rl.close();
   }
-};
-
-fetchProjectsWithAuth();
 
+  return allProjects;
+};
 
+export const command = {
+  description: 'Fetch every project and its properties',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    output: { type: 'string' },
+    'csv-output': { type: 'string' },
+    format: { type: 'string' },
+    overwrite: { type: 'boolean' },
+    yes: { type: 'boolean' },
+    schema: { type: 'string' },
+    audit: { type: 'boolean' },
+    ...projectFilterOptions
+  },
+  run: (values) => getProjectProperties({
+    configPath: values.config,
+    profile: values.profile,
+    output: values.output,
+    csvOutput: values['csv-output'],
+    format: values.format,
+    overwrite: values.overwrite,
+    yes: values.yes,
+    schema: values.schema,
+    audit: values.audit,
+    filters: filterValues(values)
+  })
+};
 
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
@@ -26,6 +26,11 @@
  *              - Project Names
  *              - Email Addresses
  *              - Project ID's
+ *              - Roles
+ *
+ *          with one row per role assignment: the role name, the assignment ID and whether the
+ *          access is direct or via a group.  A group assignment is followed by a row for each
+ *          member of the group ("Via group <name>"), so the report shows everyone's access.
  * 
  * 
  *      Usage:
@@ -53,287 +58,173 @@
  * 
  *          May 30, 2024 -- David Nester
  *                  -- Addition of adding users to a project (in process)
+ *
+ *          October 19, 2026
+ *                  -- Adding users to a project is handled by assignProjectRoles.mjs
+ *                  -- Role assignments are fetched for several projects at once; set "concurrency"
+ *                     in CONFIG.JSON or pass --concurrency <n> (default 5)
+ *                  -- Command line options (--config, --input, --output, --format), runnable
+ *                     through cli.mjs as "polaris-cop access"
+ *                  -- The project list is refreshed when it is older than "projectListMaxAgeHours"
+ *                     in CONFIG.JSON (default 24) or with --refresh, instead of reused silently
+ *                  -- Project filters (--project-name, --project-id, --project-type, --property)
+ *                     and user or group filters (--email, --group), see fetchFilters.mjs
+ *                  -- One row per role assignment, with the role name, the assignment ID and
+ *                     whether the access is direct or via a group; groups are expanded to their
+ *                     members ("groupUrlTemplate" in CONFIG.JSON)
  * 
  * ==========================================================================================================
  */
 
 
-import axios from 'axios';
 import fs from 'fs/promises';
-import readline from 'readline';
 import { createObjectCsvWriter } from 'csv-writer';
-
-const configPath = './config.json';
-const projectListPath = './projectList.json';
-const csvPath = './projectList.csv';
-
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-const askQuestion = (query) => {
-  return new Promise((resolve) => rl.question(query, resolve));
-};
-
-const fetchProjectsWithAuth = async () => {
-  try {
-    let allProjects = [];
-
-    // Check if projectList.json already exists
-    try {
-      await fs.access(projectListPath);
-      const projectListData = await fs.readFile(projectListPath, 'utf8');
-      allProjects = JSON.parse(projectListData);
-      console.log('Reading projects from existing projectList.json');
-    } catch (err) {
-      if (err.code !== 'ENOENT') {
-        throw err;
-      }
-
-      console.log('projectList.json does not exist. Fetching projects from the API.');
-
-      const configData = await fs.readFile(configPath, 'utf8');
-      const config = JSON.parse(configData);
-
-      const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-      const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-      const projectsUrl = config.projectsUrlTemplate.replace('{customer}', config.customer);
-      const baseProjectsUrl = projectsUrl.split('?')[0];
-
-      let authConfig;
-
-      if (config.password && config.password.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('password', config.password);
-
-        authConfig = {
-          method: 'post',
-          url: authUrl,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-        const authData = new URLSearchParams();
-        authData.append('email', config.email);
-        authData.append('accesstoken', config.accesstoken);
-
-        authConfig = {
-          method: 'post',
-          url: authUrlV2,
-          headers: { 
-            'Accept': 'application/json',
-            'Content-Type': 'application/x-www-form-urlencoded'
-          },
-          data: authData
-        };
-      } else {
-        throw new Error('Neither password nor access token is provided in the config.');
-      }
-
-      console.log('Sending authentication request...');
-      const authResponse = await axios.request(authConfig);
-      console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-      let token;
-
-      const setCookieHeader = authResponse.headers['set-cookie'];
-      if (setCookieHeader) {
-        const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-        if (tokenCookie) {
-          token = tokenCookie.split(';')[0].split('=')[1];
-        }
-      }
-
-      if (!token && authResponse.data && authResponse.data.jwt) {
-        token = authResponse.data.jwt;
-      }
-
-      if (!token) {
-        throw new Error('No access token found in the response.');
-      }
-
-      let offset = 0;
-      const limit = 500;
-      let moreProjects = true;
-
-      while (moreProjects) {
-        const projectsUrlWithPagination = `${baseProjectsUrl}?page[limit]=${limit}&page[offset]=${offset}`;
-
-        const projectsConfig = {
-          method: 'get',
-          maxBodyLength: Infinity,
-          url: projectsUrlWithPagination,
-          headers: { 
-            'accept': 'application/vnd.api+json',
-            'Authorization': `Bearer ${token}`
-          }
-        };
-
-        console.log(`Fetching projects with offset=${offset}...`);
-        const projectsResponse = await axios.request(projectsConfig);
-        console.log('Projects response received:', projectsResponse.status, projectsResponse.statusText);
-
-        if (projectsResponse.status === 200) {
-          const projectsData = projectsResponse.data.data;
-          const formattedProjects = projectsData.map(project => ({
-            id: project.id,
-            name: project.attributes.name
-          }));
-
-          allProjects = [...allProjects, ...formattedProjects];
-
-          moreProjects = projectsData.length === limit;
-          offset += limit;
-        } else {
-          console.error(`HTTP Error: ${projectsResponse.status} - ${projectsResponse.statusText}`);
-          moreProjects = false;
-        }
-      }
-
-      const jsonContent = JSON.stringify(allProjects, null, 2);
-
-      await fs.writeFile(projectListPath, jsonContent, 'utf8');
-      console.log('Project list has been saved to projectList.json');
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { fetchProjectRoleAssignments, describeRoleAssignments, fetchGroupMembers } from './roleAssignments.mjs';
+import { loadProjectList } from './projectCache.mjs';
+import { projectFilterOptions, principalFilterOptions, filterValues, parseFilters, hasPrincipalFilters, matchesPrincipal, describeFilters } from './fetchFilters.mjs';
+import { mapWithConcurrency, defaultConcurrency } from './workerPool.mjs';
+import { isMainModule, runCommand, checkFormat, csvPathFor, positiveInteger, profilePath } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+const defaultDetailsListPath = './detailsList.json';
+
+export const getProjectUserInformation = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input: projectListPath = profilePath(defaultProjectListPath, profile),
+  output = profilePath(defaultDetailsListPath, profile),
+  csvOutput = csvPathFor(output),
+  format = 'both',
+  concurrency,
+  refresh = false,
+  filters = {}
+} = {}) => {
+  checkFormat(format);
+  const accessFilters = parseFilters(filters);
+
+  // Authenticate once and reuse the token for the project and role-assignment requests
+  const config = await loadConfig(configPath, { profile });
+  const client = createPolarisClient(config);
+
+  // Reuse projectList.json while it is fresh, see projectCache.mjs
+  const { projects: allProjects } = await loadProjectList(client, config, projectListPath, { refresh, filters: accessFilters });
+
+  // Extract user and group details from each project, a few projects at a time
+  const poolSize = positiveInteger(concurrency ?? config.concurrency ?? defaultConcurrency, 'concurrency');
+
+  // A group is usually assigned on many projects: fetch its members once
+  const groupMembers = new Map();
+  const membersOf = (groupId) => {
+    if (!groupMembers.has(groupId)) {
+      groupMembers.set(groupId, fetchGroupMembers(client, groupId));
     }
-
-    // Extract user and group details from each project
-    let allDetails = [];
-
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-
-    let authConfig;
-
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else {
-      throw new Error('Neither password nor access token is provided in the config.');
-    }
-
-    console.log('Sending authentication request...');
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
-
-    let token;
-
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
-    }
-
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
-    }
-
-    if (!token) {
-      throw new Error('No access token found in the response.');
-    }
-
-    for (const project of allProjects) {
-      const roleAssignmentsUrl = `https://${config.customer}.polaris.synopsys.com/api/auth/v2/role-assignments?filter%5Brole-assignments%5D%5Bobject%5D%5B%24eq%5D=urn%3Ax-swip%3Aprojects%3A${project.id}&include%5Brole-assignments%5D%5B%5D=role&include%5Brole-assignments%5D%5B%5D=user&include%5Brole-assignments%5D%5B%5D=group`;
-
-      const roleAssignmentsConfig = {
-        method: 'get',
-        maxBodyLength: Infinity,
-        url: roleAssignmentsUrl,
-        headers: { 
-          'accept': 'application/vnd.api+json',
-          'Authorization': `Bearer ${token}`
-        }
+    return groupMembers.get(groupId);
+  };
+
+  console.log(`Fetching role assignments for ${allProjects.length} projects (${poolSize} at a time)...`);
+  const projectDetails = await mapWithConcurrency(allProjects, async (project) => {
+    console.log(`Fetching role assignments for project ${project.name} (ID: ${project.id})...`);
+    const roleAssignments = await fetchProjectRoleAssignments(client, project.id);
+
+    // One row per assignment, so a user with two roles on a project has two rows, and one per
+    // member after a group's row
+    const rows = [];
+    for (const assignment of describeRoleAssignments(roleAssignments)) {
+      const row = {
+        projectName: project.name,
+        projectId: project.id,
+        userType: assignment.principalType === 'users' ? 'User' : 'GroupName',
+        name: assignment.name,
+        email: assignment.email,
+        role: assignment.roleName || assignment.roleId,
+        assignmentId: assignment.id,
+        access: 'Direct'
       };
+      rows.push(row);
 
-      console.log(`Fetching role assignments for project ${project.name} (ID: ${project.id})...`);
-      const roleAssignmentsResponse = await axios.request(roleAssignmentsConfig);
-      console.log('Role assignments response received:', roleAssignmentsResponse.status, roleAssignmentsResponse.statusText);
-
-      if (roleAssignmentsResponse.status === 200) {
-        const users = roleAssignmentsResponse.data.included.filter(item => item.type === 'users').map(user => ({
-          projectName: project.name,
-          projectId: project.id,
+      if (assignment.principalType === 'groups') {
+        const members = await membersOf(assignment.principalId);
+        members.forEach(member => rows.push({
+          ...row,
           userType: 'User',
-          name: user.attributes.name,
-          email: user.attributes.email
-        }));
-
-        const groups = roleAssignmentsResponse.data.included.filter(item => item.type === 'groups').map(group => ({
-          projectName: project.name,
-          projectId: project.id,
-          userType: 'GroupName',
-          name: group.attributes.groupname,
-          email: ''
+          name: member.name,
+          email: member.email,
+          access: `Via group ${assignment.name}`
         }));
-
-        allDetails = [...allDetails, ...users, ...groups];
-      } else {
-        console.error(`HTTP Error: ${roleAssignmentsResponse.status} - ${roleAssignmentsResponse.statusText}`);
       }
     }
 
+    return rows;
+  }, {
+    concurrency: poolSize,
+    onProgress: (completed, total) => console.log(`Role assignments fetched for ${completed} of ${total} projects`)
+  });
+
+  // Results come back in project order, regardless of which request finished first.  The role
+  // assignments endpoint filters by project only, so the user and group filters apply here
+  const allDetails = projectDetails.flat().filter(row => matchesPrincipal(accessFilters, row));
+  if (hasPrincipalFilters(accessFilters)) {
+    console.log(`Assignments matching the filters (${describeFilters(accessFilters)}): ${allDetails.length}`);
+  }
+
+  if (format !== 'csv') {
     const detailsJsonContent = JSON.stringify(allDetails, null, 2);
 
-    await fs.writeFile('./detailsList.json', detailsJsonContent, 'utf8');
-    console.log('Details list has been saved to detailsList.json');
+    await fs.writeFile(output, detailsJsonContent, 'utf8');
+    console.log(`Details list has been saved to ${output}`);
+  }
 
+  if (format !== 'json') {
     const csvWriter = createObjectCsvWriter({
-      path: './detailsList.csv',
+      path: csvOutput,
       header: [
         { id: 'projectName', title: 'Project Name' },
         { id: 'projectId', title: 'Project ID' },
         { id: 'userType', title: 'Type' },
         { id: 'name', title: 'Name' },
-        { id: 'email', title: 'Email' }
+        { id: 'email', title: 'Email' },
+        { id: 'role', title: 'Role' },
+        { id: 'assignmentId', title: 'Assignment ID' },
+        { id: 'access', title: 'Access' }
       ]
     });
 
     await csvWriter.writeRecords(allDetails);
-    console.log('Details list has been saved to detailsList.csv');
-
-  } catch (error) {
-    if (error.response) {
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
-    } else {
-      console.error('Error:', error.message);
-    }
-  } finally {
-    rl.close();
+    console.log(`Details list has been saved to ${csvOutput}`);
   }
+
+  return allDetails;
+};
+
+export const command = {
+  description: 'Report the users and groups on each project with their roles',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' },
+    output: { type: 'string' },
+    'csv-output': { type: 'string' },
+    format: { type: 'string' },
+    concurrency: { type: 'string' },
+    refresh: { type: 'boolean' },
+    ...projectFilterOptions,
+    ...principalFilterOptions
+  },
+  run: (values) => getProjectUserInformation({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input,
+    output: values.output,
+    csvOutput: values['csv-output'],
+    format: values.format,
+    concurrency: values.concurrency,
+    refresh: values.refresh,
+    filters: filterValues(values)
+  })
 };
 
-fetchProjectsWithAuth();
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
@@ -0,0 +1,291 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Shared client for the coverity on polaris api.  Every script in this directory uses
+ *          this module to load "config.json", build endpoint URLs from the configured templates,
+ *          authenticate (password or access token) and page through JSON:API collections.  The
+ *          credentials are resolved by credentials.mjs and kept out of the logs by redact.mjs.
+ *
+ *          "profiles" in the config holds named tenants; the settings of the selected profile
+ *          replace the top-level ones, so each profile can have its own customer, URL templates
+ *          and credentials file.
+ *
+ *          The URL templates start with {baseUrl}, "https://{customer}.polaris.synopsys.com" unless
+ *          "baseUrl" is set, e.g. for a dedicated instance or a local mock server.  The proxy and
+ *          CA bundle settings are applied by transport.mjs.
+ *
+ *          The client authenticates on the first request and reuses the token for the rest of
+ *          the run.  It re-authenticates with the configured password or access token when the
+ *          token is about to expire (JWT "exp" claim) or a request is rejected with a 401.  Every
+ *          call is retried according to retryPolicy.mjs.  It may also be imported by other tooling:
+ *
+ *                  import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+ *
+ *                  const client = createPolarisClient(await loadConfig());
+ *                  const staging = createPolarisClient(await loadConfig('./config.json', { profile: 'staging' }));
+ *                  const { data } = await client.list(client.url('projectsUrlTemplate'));
+ *
+ * ==========================================================================================================
+ */
+
+import axios from 'axios';
+import fs from 'fs/promises';
+import path from 'path';
+import { withRetry } from './retryPolicy.mjs';
+import { resolveCredentials } from './credentials.mjs';
+import { registerSecret } from './redact.mjs';
+import { createTransport } from './transport.mjs';
+
+const defaultBaseUrl = 'https://{customer}.polaris.synopsys.com';
+const defaultPageLimit = 500;
+const tokenRefreshMarginMs = 60000;
+
+// Merge the named profile (customer, credentials, URL templates, ...) over the top-level settings
+export const selectProfile = (config, profile) => {
+  const { profiles = {}, ...settings } = config;
+
+  if (!profile) {
+    return settings;
+  }
+
+  if (!Object.hasOwn(profiles, profile)) {
+    const available = Object.keys(profiles);
+    throw new Error(`Unknown profile "${profile}", the config defines: ${available.length ? available.join(', ') : 'no profiles'}.`);
+  }
+
+  return { ...settings, ...profiles[profile], profile };
+};
+
+// Read and parse the config file, with the profile selected and the credentials resolved by credentials.mjs
+export const loadConfig = async (configPath = './config.json', { profile } = {}) => {
+  const configData = await fs.readFile(configPath, 'utf8');
+  const config = selectProfile(JSON.parse(configData), profile);
+
+  // File settings are relative to the config file; snapshots go next to it when not set
+  config.snapshotDir = config.snapshotDir || './snapshots';
+  ['caBundle', 'propertySchema', 'snapshotDir']
+    .filter(setting => config[setting])
+    .forEach(setting => {
+      config[setting] = path.resolve(path.dirname(configPath), config[setting]);
+    });
+
+  return resolveCredentials(config, { configPath, profile });
+};
+
+// Replace {placeholder} values (e.g. {customer}, {projectId}) in a URL template
+export const resolveUrl = (template, values = {}) => {
+  if (!template) {
+    throw new Error('URL template is missing or not correctly defined in the config.');
+  }
+
+  return Object.entries(values).reduce(
+    (url, [key, value]) => url.split(`{${key}}`).join(encodeURIComponent(value)),
+    template
+  );
+};
+
+// Extract the JWT from the set-cookie header or the response body
+const extractToken = (authResponse) => {
+  const setCookieHeader = authResponse.headers['set-cookie'];
+  if (setCookieHeader) {
+    const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
+    if (tokenCookie) {
+      return tokenCookie.split(';')[0].split('=')[1];
+    }
+  }
+
+  if (authResponse.data && authResponse.data.jwt) {
+    return authResponse.data.jwt;
+  }
+
+  return undefined;
+};
+
+// Read the expiry time (ms) from the JWT "exp" claim, undefined when the token has none
+export const tokenExpiry = (jwt) => {
+  try {
+    const payload = JSON.parse(Buffer.from(jwt.split('.')[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : undefined;
+  } catch (err) {
+    return undefined;
+  }
+};
+
+// Refresh a minute early so a request is never sent with a token that expires in flight
+const tokenExpiresSoon = (jwt) => {
+  const expiry = tokenExpiry(jwt);
+  return expiry !== undefined && Date.now() >= expiry - tokenRefreshMarginMs;
+};
+
+// Log an error the way every script reports it
+export const reportError = (error) => {
+  if (error.response) {
+    // Handle errors from the server
+    console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+    console.error('Response data:', error.response.data);
+  } else {
+    // Handle other errors
+    console.error('Error:', error.message);
+  }
+};
+
+export const createPolarisClient = (config) => {
+  let token;
+  let pendingAuthentication;
+
+  const transport = createTransport(config);
+
+  // Send a request through the shared retry policy
+  const send = (requestConfig, description) => {
+    return withRetry(() => axios.request({ ...transport(requestConfig.url), ...requestConfig }), {
+      method: requestConfig.method,
+      description,
+      policy: config.retry
+    });
+  };
+
+  // {baseUrl} in a template is replaced as is (not encoded); the base URL may itself use {customer}
+  const baseUrl = resolveUrl(config.baseUrl || defaultBaseUrl, { customer: config.customer }).replace(/\/+$/, '');
+
+  const url = (templateName, values = {}) => {
+    const template = config[templateName] && config[templateName].split('{baseUrl}').join(baseUrl);
+    return resolveUrl(template, { customer: config.customer, ...values });
+  };
+
+  const buildAuthConfig = () => {
+    const authData = new URLSearchParams();
+    authData.append('email', config.email);
+
+    // Check if password or API key (access token) is provided and configure the auth request
+    if (config.password && config.password.trim() !== '') {
+      authData.append('password', config.password);
+      return { url: url('authUrlTemplate'), data: authData };
+    }
+
+    if (config.accesstoken && config.accesstoken.trim() !== '') {
+      authData.append('accesstoken', config.accesstoken);
+      const authUrlV2 = url('authUrlV2Template');
+
+      console.log('Using access token for authentication:', authUrlV2);
+
+      return { url: authUrlV2, data: authData };
+    }
+
+    throw new Error('Neither password nor access token is provided (see POLARIS_PASSWORD, POLARIS_ACCESS_TOKEN or credentialsFile).');
+  };
+
+  const authenticate = async () => {
+    const { url: authUrl, data } = buildAuthConfig();
+
+    console.log('Sending authentication request...');
+    const authResponse = await send({
+      method: 'post',
+      url: authUrl,
+      headers: {
+        'Accept': 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      data
+    }, 'Authentication request');
+    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
+
+    token = extractToken(authResponse);
+    if (!token) {
+      throw new Error('No access token found in the response.');
+    }
+    registerSecret(token);
+
+    return token;
+  };
+
+  // Authenticate again; concurrent requests share one authentication request
+  const refreshToken = () => {
+    pendingAuthentication = pendingAuthentication || authenticate().finally(() => {
+      pendingAuthentication = undefined;
+    });
+    return pendingAuthentication;
+  };
+
+  // Send an authenticated request, authenticating first if the token is missing or about to expire.
+  // A 401 response re-authenticates and sends the request once more.
+  const request = async (requestConfig) => {
+    if (!token || tokenExpiresSoon(token)) {
+      if (token) {
+        console.log('Access token is about to expire, re-authenticating...');
+      }
+      await refreshToken();
+    }
+
+    const method = requestConfig.method || 'get';
+    const sendWithToken = (currentToken) => send({
+      maxBodyLength: Infinity,
+      ...requestConfig,
+      method,
+      headers: {
+        'accept': 'application/vnd.api+json',
+        ...requestConfig.headers,
+        'Authorization': `Bearer ${currentToken}`
+      }
+    }, `${method.toUpperCase()} ${new URL(requestConfig.url).pathname}`);
+
+    const usedToken = token;
+    try {
+      return await sendWithToken(usedToken);
+    } catch (error) {
+      if (error.response?.status !== 401) {
+        throw error;
+      }
+
+      // Another request may already have refreshed the token
+      if (token === usedToken) {
+        console.log('Access token was rejected (401), re-authenticating...');
+        await refreshToken();
+      }
+
+      return sendWithToken(token);
+    }
+  };
+
+  // Fetch every page of a JSON:API collection and return the combined { data, included }
+  const list = async (collectionUrl, { limit } = {}) => {
+    const pageUrl = new URL(collectionUrl);
+    const pageLimit = limit || Number(pageUrl.searchParams.get('page[limit]')) || defaultPageLimit;
+
+    let offset = 0;
+    let data = [];
+    let included = [];
+    let morePages = true;
+
+    while (morePages) {
+      pageUrl.searchParams.set('page[limit]', pageLimit);
+      pageUrl.searchParams.set('page[offset]', offset);
+
+      console.log(`Fetching ${pageUrl.pathname} with offset=${offset}...`);
+      const response = await request({ method: 'get', url: pageUrl.toString() });
+
+      const pageData = response.data.data || [];
+      data = [...data, ...pageData];
+      included = [...included, ...(response.data.included || [])];
+
+      // Check if there are more pages to fetch
+      morePages = pageData.length === pageLimit;
+      offset += pageLimit;
+    }
+
+    return { data, included };
+  };
+
+  return {
+    config,
+    url,
+    authenticate,
+    request,
+    list
+  };
+};
+
+
+/*
+ *      eof.
+ */
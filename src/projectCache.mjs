@@ -0,0 +1,259 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Local cache of the project list.  Next to "projectList.json" the scripts keep
+ *          "projectList.cache.json": the projects as they were on the server at the last fetch,
+ *          with the fetch time.  Comparing the two tells local edits from server changes, so a
+ *          refresh merges the server's project list into the existing file instead of replacing
+ *          it:
+ *
+ *              - new projects are added, projects deleted on the server are removed
+ *              - renamed projects get their new name (and type, branches link)
+ *              - properties changed on the server are taken over, unless the project's entry
+ *                was edited locally (properties, "operation" or "remove"): local edits are kept
+ *                and reported as a conflict when the server changed as well
+ *              - projects removed from the file by hand stay removed
+ *
+ *          and the changes since the last sync are reported.
+ *
+ *          Scripts that only need the projects (loadProjectList) reuse the file while it is
+ *          younger than "projectListMaxAgeHours" (CONFIG.JSON, default 24) and refresh it
+ *          otherwise.
+ *
+ *          A fetch narrowed down by project filters (see fetchFilters.mjs) only syncs the projects
+ *          in its scope: the other entries are left alone, and the fetch time of the last full
+ *          fetch is kept.  Without an earlier full fetch the cache is marked partial, and
+ *          loadProjectList refreshes the list before using it unfiltered.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { stripPlaceholder } from './projectProperties.mjs';
+import { positiveInteger } from './runScript.mjs';
+import { fetchProjects, projectScope } from './fetchFilters.mjs';
+
+const defaultMaxAgeHours = 24;
+
+// ./projectList.json -> ./projectList.cache.json
+export const cachePathFor = (projectListPath) => {
+  const extension = path.extname(projectListPath);
+  return `${projectListPath.slice(0, projectListPath.length - extension.length)}.cache${extension || '.json'}`;
+};
+
+const readJsonIfExists = async (filePath) => {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return undefined;
+    }
+    throw err;
+  }
+};
+
+// { fetchedAt, partial, projects } of the last sync, undefined when there is none
+export const readProjectCache = (projectListPath) => readJsonIfExists(cachePathFor(projectListPath));
+
+// Record what the server returned; properties are kept from the last sync when this fetch had none.
+// Projects outside the scope of a filtered fetch keep their entry, and the list its fetch time, of
+// the last sync; a filtered fetch without an earlier full one marks the cache partial.
+const writeProjectCache = async (projectListPath, fetched, previous, inScope) => {
+  const previousById = new Map((previous?.projects || []).map(project => [project.id, project]));
+  const fetchedIds = new Set(fetched.map(project => project.id));
+  const outOfScope = inScope ? (previous?.projects || []).filter(project => !fetchedIds.has(project.id) && !inScope(project)) : [];
+
+  const projects = fetched.map(({ id, name, type, properties }) => ({
+    id,
+    name,
+    type,
+    properties: properties ? stripPlaceholder(properties) : previousById.get(id)?.properties
+  }));
+
+  const partial = Boolean(inScope) && (!previous || Boolean(previous.partial));
+  const fetchedAt = inScope && !partial ? previous.fetchedAt : new Date().toISOString();
+  const cache = { fetchedAt, ...(partial ? { partial } : {}), projects: [...projects, ...outOfScope] };
+  await fs.writeFile(cachePathFor(projectListPath), JSON.stringify(cache, null, 2), 'utf8');
+  return cache;
+};
+
+// "3 hours ago" style age of a fetch time
+export const describeAge = (fetchedAt, now = Date.now()) => {
+  const minutes = Math.max(0, Math.round((now - Date.parse(fetchedAt)) / 60000));
+  if (minutes < 60) {
+    return `${minutes} minutes ago`;
+  }
+
+  const hours = Math.round(minutes / 60);
+  return hours < 48 ? `${hours} hours ago` : `${Math.round(hours / 24)} days ago`;
+};
+
+const sameProperties = (a = {}, b = {}) => {
+  const sorted = (properties) => JSON.stringify(Object.keys(properties).sort().map(key => [key, properties[key]]));
+  return sorted(stripPlaceholder(a)) === sorted(stripPlaceholder(b));
+};
+
+// True when the entry in the file differs from what the server had at the last sync
+const hasLocalEdits = (entry, before, remote) => {
+  if (entry.operation || (entry.remove || []).length) {
+    return true;
+  }
+  if (!entry.properties) {
+    return false;
+  }
+
+  // Without an earlier sync, anything that differs from the server counts as an edit
+  const base = before?.properties ?? remote.properties;
+  return !sameProperties(entry.properties, base);
+};
+
+// Merge the fetched projects into the local entries: resolves { projects, changes }.  After a
+// filtered fetch, an entry the fetch did not return is only removed when the server's copy of the
+// last sync was in its scope (inScope true); the entry itself may hold local edits, and an entry
+// without an earlier sync cannot be told apart from one outside the scope, so both are kept.
+export const syncProjectList = (local, fetched, previous, inScope) => {
+  const fetchedById = new Map(fetched.map(project => [project.id, project]));
+  const localIds = new Set(local.map(entry => entry.id));
+  const previousById = previous ? new Map(previous.projects.map(project => [project.id, project])) : undefined;
+
+  const changes = { added: [], removed: [], renamed: [], updated: [], kept: [], conflicts: [] };
+  const projects = [];
+
+  local.forEach(entry => {
+    const remote = fetchedById.get(entry.id);
+    const before = previousById?.get(entry.id);
+    if (!remote && inScope && !(before && inScope(before))) {
+      projects.push(entry);
+      return;
+    }
+    if (!remote) {
+      changes.removed.push(entry);
+      return;
+    }
+
+    const { properties, ...details } = remote;
+    const merged = { ...entry, ...details };
+
+    const previousName = before ? before.name : entry.name;
+    if (previousName !== undefined && previousName !== remote.name) {
+      changes.renamed.push({ id: remote.id, from: previousName, to: remote.name });
+    }
+
+    if (properties) {
+      if (hasLocalEdits(entry, before, remote)) {
+        changes.kept.push(merged);
+        if (before?.properties && !sameProperties(before.properties, properties)) {
+          changes.conflicts.push(merged);
+        }
+      } else {
+        if (!sameProperties(entry.properties, properties)) {
+          changes.updated.push(merged);
+        }
+        merged.properties = properties;
+      }
+    }
+
+    projects.push(merged);
+  });
+
+  fetched.forEach(remote => {
+    // A project that was on the server at the last sync but is not in the file was removed by hand
+    if (localIds.has(remote.id) || previousById?.has(remote.id)) {
+      return;
+    }
+
+    changes.added.push(remote);
+    projects.push(remote);
+  });
+
+  return { projects, changes };
+};
+
+const label = (project) => `${project.name} (ID: ${project.id})`;
+
+export const reportSync = (changes, previous) => {
+  const since = previous ? ` since the last sync (${previous.fetchedAt}, ${describeAge(previous.fetchedAt)})` : '';
+  const lines = [
+    ...changes.added.map(project => `  + added: ${label(project)}`),
+    ...changes.removed.map(project => `  - removed on the server: ${label(project)}`),
+    ...changes.renamed.map(({ id, from, to }) => `  ~ renamed: "${from}" -> "${to}" (ID: ${id})`),
+    ...changes.updated.map(project => `  ~ properties changed on the server: ${label(project)}`),
+    ...changes.kept.map(project => {
+      const conflict = changes.conflicts.includes(project) ? ' (also changed on the server, local edits win)' : '';
+      return `  * local edits kept: ${label(project)}${conflict}`;
+    })
+  ];
+
+  console.log(lines.length ? `Changes${since}:\n${lines.join('\n')}` : `No changes${since}.`);
+};
+
+// Write the fetched projects to the project list, merged with the existing file unless overwrite
+// is set, and update the cache.  inScope tells which projects a filtered fetch covered (see
+// projectScope() in fetchFilters.mjs).  Resolves the projects written.
+export const refreshProjectList = async (projectListPath, fetched, { overwrite = false, inScope } = {}) => {
+  const local = overwrite ? undefined : await readJsonIfExists(projectListPath);
+  if (local && !Array.isArray(local)) {
+    throw new Error(`${projectListPath} is not a project list; use --overwrite to replace it.`);
+  }
+  const previous = await readProjectCache(projectListPath);
+
+  let projects = fetched;
+  if (local) {
+    const sync = syncProjectList(local, fetched, previous, inScope);
+    projects = sync.projects;
+    reportSync(sync.changes, previous);
+  } else {
+    console.log(`Fetched ${fetched.length} projects.`);
+  }
+
+  await fs.writeFile(projectListPath, JSON.stringify(projects, null, 2), 'utf8');
+  await writeProjectCache(projectListPath, fetched, previous, inScope);
+  console.log(`Project list has been saved to ${projectListPath}`);
+
+  return projects;
+};
+
+// The projects of projectList.json, refreshed from the API when the file is missing, older than
+// "projectListMaxAgeHours", only partly fetched or refresh is set.  With project filters (see fetchFilters.mjs) only the
+// matching projects are fetched, as the local entries may lack the type or properties to match
+// them, and only those are resolved.  Resolves { projects, refreshed }
+export const loadProjectList = async (client, config, projectListPath, { refresh = false, filters = {} } = {}) => {
+  const inScope = projectScope(filters);
+  const maxAgeHours = positiveInteger(config.projectListMaxAgeHours ?? defaultMaxAgeHours, 'projectListMaxAgeHours');
+  const local = await readJsonIfExists(projectListPath);
+  const cache = await readProjectCache(projectListPath);
+  const stale = cache && Date.now() - Date.parse(cache.fetchedAt) > maxAgeHours * 3600000;
+  const partial = Boolean(cache?.partial);
+
+  if (local && local.length && !refresh && !stale && !partial && !inScope) {
+    console.log(cache
+      ? `Reading projects from ${projectListPath} (fetched ${cache.fetchedAt}, ${describeAge(cache.fetchedAt)})`
+      : `Reading projects from ${projectListPath}; its fetch time is unknown, use --refresh to update it`);
+    return { projects: local, refreshed: false };
+  }
+
+  if (!local) {
+    console.log(`${projectListPath} does not exist. Fetching projects from the API.`);
+  } else if (partial && !refresh && !inScope) {
+    console.log(`${projectListPath} only holds the projects of a filtered fetch, refreshing it.`);
+  } else if (stale && !refresh && !inScope) {
+    console.log(`${projectListPath} was fetched ${describeAge(cache.fetchedAt)}, refreshing it.`);
+  }
+
+  const { data: projectsData } = await fetchProjects(client, filters, { limit: 500 });
+  const fetchedIds = new Set(projectsData.map(project => project.id));
+  const projects = await refreshProjectList(projectListPath, projectsData.map(project => ({
+    id: project.id,
+    name: project.attributes.name,
+    type: project.attributes.type
+  })), { inScope });
+
+  return { projects: projects.filter(project => fetchedIds.has(project.id)), refreshed: true };
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,111 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Helpers for comparing project properties.  The set-property endpoint replaces a
+ *          project's properties with the object it is sent, so the change for a project is the
+ *          difference between its current properties and the properties it should end up with.
+ *
+ *          getProjectProperties.mjs writes the placeholder { key: 'value' } for projects that
+ *          have no properties; the placeholder is never published.
+ *
+ *          Each entry in projectList.json may say how its properties are applied:
+ *
+ *              - "operation": "set"     the project ends up with exactly these properties (default)
+ *              - "operation": "merge"   these properties are added to or replace the current ones,
+ *                                       other keys are left untouched
+ *              - "operation": "unset"   the listed keys are deleted, other keys are left untouched
+ *
+ *          A null property value, or a key listed in "remove", deletes that key with any operation.
+ *
+ * ==========================================================================================================
+ */
+
+export const placeholderKey = 'key';
+export const placeholderValue = 'value';
+
+// Remove the { key: 'value' } placeholder pair from a properties object
+export const stripPlaceholder = (properties = {}) => {
+  const { [placeholderKey]: value, ...rest } = properties;
+  return value === placeholderValue ? rest : { ...properties };
+};
+
+// True when the entry only holds the placeholder written by getProjectProperties.mjs
+export const isPlaceholderOnly = (properties = {}) => {
+  const keys = Object.keys(properties);
+  return keys.length === 1 && properties[placeholderKey] === placeholderValue;
+};
+
+export const operations = ['set', 'merge', 'unset'];
+
+// Work out the properties a project should end up with from its current properties and its entry
+export const resolveProperties = (current = {}, entry, defaultOperation = 'set') => {
+  const operation = entry.operation || defaultOperation;
+  if (!operations.includes(operation)) {
+    throw new Error(`Unknown operation "${operation}" for project ID ${entry.id}, expected one of: ${operations.join(', ')}.`);
+  }
+
+  const properties = stripPlaceholder(entry.properties);
+  const removeKeys = new Set(entry.remove || []);
+
+  let desired;
+  if (operation === 'unset') {
+    Object.keys(properties).forEach(key => removeKeys.add(key));
+    desired = { ...current };
+  } else {
+    Object.entries(properties)
+      .filter(([, value]) => value === null)
+      .forEach(([key]) => removeKeys.add(key));
+    // An entry without properties (only "remove") keeps the current ones
+    desired = operation === 'merge' || !entry.properties ? { ...current, ...properties } : { ...properties };
+  }
+
+  removeKeys.forEach(key => delete desired[key]);
+  return desired;
+};
+
+// True when the entry asks for nothing: only the placeholder and no keys to remove
+export const isNoopEntry = (entry) => {
+  return isPlaceholderOnly(entry.properties) && !(entry.remove || []).length;
+};
+
+// Compare two property objects: { added, changed, removed } keyed by property name
+export const diffProperties = (current = {}, desired = {}) => {
+  const added = {};
+  const changed = {};
+  const removed = {};
+
+  Object.entries(desired).forEach(([key, value]) => {
+    if (!(key in current)) {
+      added[key] = value;
+    } else if (JSON.stringify(current[key]) !== JSON.stringify(value)) {
+      changed[key] = { from: current[key], to: value };
+    }
+  });
+
+  Object.entries(current).forEach(([key, value]) => {
+    if (!(key in desired)) {
+      removed[key] = value;
+    }
+  });
+
+  return { added, changed, removed };
+};
+
+export const isEmptyDiff = ({ added, changed, removed }) => {
+  return !Object.keys(added).length && !Object.keys(changed).length && !Object.keys(removed).length;
+};
+
+// Print a diff as "+ key: value", "~ key: from -> to" and "- key: value" lines
+export const formatDiff = ({ added, changed, removed }) => {
+  return [
+    ...Object.entries(added).map(([key, value]) => `  + ${key}: ${JSON.stringify(value)}`),
+    ...Object.entries(changed).map(([key, { from, to }]) => `  ~ ${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`),
+    ...Object.entries(removed).map(([key, value]) => `  - ${key}: ${JSON.stringify(value)}`)
+  ].join('\n');
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,68 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Interactive prompts for scripts that ask before changing anything.  The readline
+ *          interface is only opened while a question is pending so a script that never asks
+ *          does not hold stdin open.  When stdin is closed (e.g. in a CI pipeline) every question
+ *          is answered with an empty string, which counts as "no"; pass --yes instead.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import readline from 'readline';
+
+export const askQuestion = (query) => {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout
+  });
+
+  return new Promise((resolve) => {
+    let answered = false;
+
+    rl.on('close', () => {
+      if (!answered) {
+        resolve('');
+      }
+    });
+
+    rl.question(query, (answer) => {
+      answered = true;
+      rl.close();
+      resolve(answer);
+    });
+  });
+};
+
+// Ask a yes/no question, anything other than yes is a no
+export const confirm = async (query) => {
+  const answer = await askQuestion(`${query} [ yes | no ]: `);
+  return ['yes', 'y'].includes(answer.trim().toLowerCase());
+};
+
+// Delete an existing output file after confirmation (or straight away with yes); false when the user declines
+export const confirmOverwrite = async (filePath, { yes = false } = {}) => {
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+    return true;
+  }
+
+  if (!yes && !await confirm(`${filePath} already exists. Do you want to delete it?`)) {
+    return false;
+  }
+
+  await fs.unlink(filePath);
+  console.log(`Existing ${filePath} file deleted.`);
+  return true;
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,154 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          The spreadsheet form of the project list, written by getProjectProperties.mjs and read
+ *          back by setProjectProperties.mjs.  Each property key has its own column, so the values
+ *          can be edited in Excel:
+ *
+ *                  ID,Name,Type,property:businessUnit,property:tier,Branches
+ *                  8f2c...,payments-api,project,payments,1,https://...
+ *
+ *          On the way back in, a row holds the complete set of properties of its project: a
+ *          filled cell sets the key, an empty cell removes it.  Add a "property:<key>" column to
+ *          add a key.  Name, Type and Branches are informational and ignored.  The older export
+ *          with all properties JSON-encoded in one "Properties" column is still accepted.  A file
+ *          with neither (such as the "projects" overview) is rejected, as every row would read as
+ *          "no properties" and remove them all.
+ *
+ *          Values other than strings are written JSON-encoded (1, true).  The cells are read back
+ *          as strings; restoreCsvValues() gives a cell that still holds the exported text of the
+ *          live value that value back, so an unedited export plans no changes.
+ *
+ * ==========================================================================================================
+ */
+
+import { readCsvTable } from './csvReader.mjs';
+import { stripPlaceholder } from './projectProperties.mjs';
+
+export const propertyColumnPrefix = 'property:';
+
+const idColumn = 'ID';
+const informationalColumns = ['Name', 'Type', 'Branches'];
+const legacyPropertiesColumn = 'Properties';
+
+// The csv-writer header: ID, Name, Type, one column per property key found in any project, Branches
+export const propertiesCsvHeader = (projects) => {
+  const keys = [...new Set(projects.flatMap(project => Object.keys(stripPlaceholder(project.properties))))].sort();
+
+  return [
+    { id: 'id', title: idColumn },
+    { id: 'name', title: 'Name' },
+    { id: 'type', title: 'Type' },
+    ...keys.map(key => ({ id: `${propertyColumnPrefix}${key}`, title: `${propertyColumnPrefix}${key}` })),
+    { id: 'branches', title: 'Branches' }
+  ];
+};
+
+// The cell text of a property value
+const cellText = (value) => typeof value === 'string' ? value : JSON.stringify(value);
+
+// One record per project with each property value in its own column
+export const propertiesCsvRecords = (projects) => {
+  return projects.map(project => {
+    const properties = stripPlaceholder(project.properties);
+    return {
+      id: project.id,
+      name: project.name,
+      type: project.type,
+      branches: project.branches,
+      ...Object.fromEntries(Object.entries(properties).map(([key, value]) => [`${propertyColumnPrefix}${key}`, cellText(value)]))
+    };
+  });
+};
+
+const checkHeaders = (headers, csvPath) => {
+  if (!headers.includes(idColumn)) {
+    throw new Error(`${csvPath} has no "${idColumn}" column.`);
+  }
+
+  const duplicates = headers.filter((header, index) => headers.indexOf(header) !== index);
+  if (duplicates.length) {
+    throw new Error(`${csvPath} has duplicate columns: ${[...new Set(duplicates)].join(', ')}.`);
+  }
+
+  const unknown = headers.filter(header => {
+    return header !== idColumn &&
+      header !== legacyPropertiesColumn &&
+      !informationalColumns.includes(header) &&
+      !(header.startsWith(propertyColumnPrefix) && header.length > propertyColumnPrefix.length);
+  });
+  if (unknown.length) {
+    throw new Error(`${csvPath} has unknown columns: ${unknown.join(', ')}. Property columns must be named "${propertyColumnPrefix}<key>".`);
+  }
+
+  if (!headers.includes(legacyPropertiesColumn) && !headers.some(header => header.startsWith(propertyColumnPrefix))) {
+    throw new Error(`${csvPath} has no "${propertyColumnPrefix}<key>" columns; export the properties with getProjectProperties.mjs (polaris-cop properties get).`);
+  }
+};
+
+const legacyProperties = (value, rowLabel) => {
+  if (!value.trim()) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`${rowLabel}: the ${legacyPropertiesColumn} column is not valid JSON.`);
+  }
+};
+
+// Read the CSV into project list entries ({ id, name, properties }), checking the columns and IDs
+export const readPropertiesCsv = async (csvPath) => {
+  const { headers, records } = await readCsvTable(csvPath);
+  checkHeaders(headers, csvPath);
+
+  const propertyColumns = headers.filter(header => header.startsWith(propertyColumnPrefix));
+  const seen = new Set();
+
+  return records.map((record, index) => {
+    // Row 1 is the header
+    const rowLabel = `${csvPath} row ${index + 2}`;
+    const id = record[idColumn].trim();
+
+    if (!id) {
+      throw new Error(`${rowLabel} has no project ID.`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`${rowLabel}: project ID ${id} is listed more than once.`);
+    }
+    seen.add(id);
+
+    const properties = headers.includes(legacyPropertiesColumn)
+      ? legacyProperties(record[legacyPropertiesColumn], rowLabel)
+      : {};
+
+    propertyColumns.forEach(column => {
+      const value = record[column].trim();
+      if (value !== '') {
+        properties[column.slice(propertyColumnPrefix.length)] = value;
+      }
+    });
+
+    return { id, name: record.Name, properties };
+  });
+};
+
+// Take the live value (currentProperties: project ID -> properties) for every cell that was not edited
+export const restoreCsvValues = (projectList, currentProperties) => {
+  return projectList.map(entry => {
+    const current = currentProperties.get(entry.id) || {};
+    return {
+      ...entry,
+      properties: Object.fromEntries(Object.entries(entry.properties).map(([key, value]) => {
+        return [key, key in current && cellText(current[key]) === value ? current[key] : value];
+      }))
+    };
+  });
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,125 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Applies project properties through the batch set-property endpoint.  Projects that
+ *          should end up with identical properties are sent together in one request (up to the
+ *          configured batch size).  When a batch request fails, each project in it is retried
+ *          on its own so one bad project does not fail the rest of the batch.
+ *
+ *          The set-property endpoint is asynchronous: each request returns a job, and a project
+ *          only counts as applied once its job has completed (see asyncJobs.mjs).
+ *
+ *          The batch size is read from "setPropertyBatchSize" in CONFIG.JSON (default 100).
+ *
+ * ==========================================================================================================
+ */
+
+import { jobReference, waitForJob, jobFailureMessage } from './asyncJobs.mjs';
+
+export const defaultBatchSize = 100;
+
+// JSON with sorted keys, so { a, b } and { b, a } group together
+const propertiesKey = (properties) => {
+  return JSON.stringify(Object.keys(properties).sort().map(key => [key, properties[key]]));
+};
+
+// Group { id, properties } entries with identical properties into batches of at most batchSize ids
+export const groupIntoBatches = (entries, batchSize = defaultBatchSize) => {
+  const groups = new Map();
+
+  entries.forEach(({ id, properties }) => {
+    const key = propertiesKey(properties);
+    if (!groups.has(key)) {
+      groups.set(key, { properties, projects: [] });
+    }
+    groups.get(key).projects.push(id);
+  });
+
+  const batches = [];
+  groups.forEach(({ properties, projects }) => {
+    for (let i = 0; i < projects.length; i += batchSize) {
+      batches.push({ properties, projects: projects.slice(i, i + batchSize) });
+    }
+  });
+
+  return batches;
+};
+
+// Send one set-property request and wait for its job: resolves the job ID, if any
+const sendBatch = async (client, { projects, properties }) => {
+  const response = await client.request({
+    method: 'post',
+    url: client.url('setPropertyUrlTemplate'),
+    headers: {
+      'accept': 'application/json',
+      'Content-Type': 'application/json'
+    },
+    data: {
+      projects,
+      properties
+    }
+  });
+
+  const jobUrl = jobReference(client, response);
+  if (!jobUrl) {
+    return undefined;
+  }
+
+  console.log(`Waiting for job ${jobUrl}...`);
+  const { status, job } = await waitForJob(client, jobUrl);
+  if (status === 'failed') {
+    throw new Error(jobFailureMessage(job));
+  }
+
+  return job?.id;
+};
+
+const describeError = (error) => {
+  return error.response
+    ? `${error.response.status} - ${error.response.statusText}`
+    : error.message;
+};
+
+// Send every batch, falling back to one request per project when a batch fails.
+// Resolves { succeeded: [{ id, jobId }], failed: [{ id, error }] }
+export const applyPropertyBatches = async (client, batches) => {
+  const succeeded = [];
+  const failed = [];
+
+  for (const [index, batch] of batches.entries()) {
+    console.log(`Setting properties for batch ${index + 1} of ${batches.length} (${batch.projects.length} projects)...`);
+
+    try {
+      const jobId = await sendBatch(client, batch);
+      console.log(`Properties have been applied for batch ${index + 1}${jobId ? ` (job ${jobId})` : ''}`);
+      succeeded.push(...batch.projects.map(id => ({ id, jobId })));
+      continue;
+    } catch (error) {
+      console.error(`Error setting properties for batch ${index + 1}: ${describeError(error)}`);
+      if (batch.projects.length === 1) {
+        failed.push({ id: batch.projects[0], error: describeError(error) });
+        continue;
+      }
+      console.log('Retrying the projects in this batch one at a time...');
+    }
+
+    for (const projectId of batch.projects) {
+      try {
+        const jobId = await sendBatch(client, { projects: [projectId], properties: batch.properties });
+        console.log(`Project properties have been set successfully for project ID: ${projectId}`);
+        succeeded.push({ id: projectId, jobId });
+      } catch (error) {
+        console.error(`Error setting properties for project ID ${projectId}: ${describeError(error)}`);
+        failed.push({ id: projectId, error: describeError(error) });
+      }
+    }
+  }
+
+  return { succeeded, failed };
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,141 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Rule-based property assignment.  A rules file names reusable property templates and
+ *          the projects each rule applies to; expandRules() turns it into the same per-project
+ *          entries as projectList.json, so setProjectProperties.mjs can preview and apply them:
+ *
+ *                  {
+ *                    "templates": {
+ *                      "payments": { "businessUnit": "payments", "tier": "1" }
+ *                    },
+ *                    "rules": [
+ *                      { "match": { "name": "^payments-" }, "template": "payments" },
+ *                      { "match": { "type": "library" }, "properties": { "tier": "3" } },
+ *                      { "match": { "id": ["..."] }, "properties": { "legacy": null }, "remove": ["owner"] }
+ *                    ]
+ *                  }
+ *
+ *          "match" may hold "name" (a regular expression), "type" and "id" (a value or a list);
+ *          a project must satisfy all of them, and an empty match applies to every project.
+ *          A rule adds its "template" (one name or a list) and then its "properties" to the
+ *          project; a null value or a "remove" list deletes keys.  Rules are merged into the
+ *          current properties ("operation": "merge") unless a rule sets "operation": "set".
+ *          When several rules match a project they apply in file order, the last one winning: a
+ *          later rule may set a key an earlier one removed, and remove one it set.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+
+const ruleOperations = ['merge', 'set'];
+const matchFields = ['name', 'type', 'id'];
+
+const asList = (value) => (value === undefined ? [] : [].concat(value));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check the rules and compile the name patterns: returns the rules with a matches(project) function
+export const compileRules = ({ templates = {}, rules } = {}) => {
+  if (!Array.isArray(rules) || !rules.length) {
+    throw new Error('The rules file must contain a non-empty "rules" list.');
+  }
+
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    const { match = {}, template, properties = {}, remove = [], operation = 'merge' } = rule;
+
+    if (!isPlainObject(match) || Object.keys(match).some(field => !matchFields.includes(field))) {
+      throw new Error(`${label}: "match" may only contain ${matchFields.join(', ')}.`);
+    }
+    if (!ruleOperations.includes(operation)) {
+      throw new Error(`${label}: unknown operation "${operation}", expected one of: ${ruleOperations.join(', ')}.`);
+    }
+    if (!isPlainObject(properties) || !Array.isArray(remove)) {
+      throw new Error(`${label}: "properties" must be an object and "remove" a list.`);
+    }
+
+    const templateProperties = asList(template).map(name => {
+      if (!isPlainObject(templates[name])) {
+        throw new Error(`${label}: unknown template "${name}".`);
+      }
+      return templates[name];
+    });
+
+    let namePattern;
+    try {
+      namePattern = match.name !== undefined ? new RegExp(match.name) : undefined;
+    } catch (error) {
+      throw new Error(`${label}: invalid name pattern "${match.name}": ${error.message}`);
+    }
+
+    const types = asList(match.type);
+    const ids = asList(match.id);
+
+    return {
+      label,
+      operation,
+      properties: Object.assign({}, ...templateProperties, properties),
+      remove,
+      matches: (project) => {
+        return (!namePattern || namePattern.test(project.name || '')) &&
+          (!types.length || types.includes(project.type)) &&
+          (!ids.length || ids.includes(project.id));
+      }
+    };
+  });
+};
+
+// Apply the rules to the projects ({ id, name, type }): one projectList.json entry per matched project
+export const expandRules = (ruleSet, projects) => {
+  const rules = compileRules(ruleSet);
+  const entries = [];
+
+  projects.forEach(project => {
+    const matched = rules.filter(rule => rule.matches(project));
+    if (!matched.length) {
+      return;
+    }
+
+    // Each rule in turn: its properties, then its removals, so a later rule can put a key back
+    const properties = {};
+    const remove = new Set();
+    matched.forEach(rule => {
+      Object.entries(rule.properties).forEach(([key, value]) => {
+        properties[key] = value;
+        remove.delete(key);
+      });
+      rule.remove.forEach(key => {
+        delete properties[key];
+        remove.add(key);
+      });
+    });
+
+    entries.push({
+      id: project.id,
+      name: project.name,
+      operation: matched.some(rule => rule.operation === 'set') ? 'set' : 'merge',
+      properties,
+      remove: [...remove],
+      rules: matched.map(rule => rule.label)
+    });
+  });
+
+  return entries;
+};
+
+export const readRules = async (rulesPath) => {
+  const rulesData = await fs.readFile(rulesPath, 'utf8');
+  const ruleSet = JSON.parse(rulesData);
+
+  // Validate before any request is sent
+  compileRules(ruleSet);
+  return ruleSet;
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,143 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Property schema validation.  A schema file declares the property keys a project may
+ *          have and what their values must look like:
+ *
+ *                  {
+ *                    "required": ["businessUnit", "tier"],
+ *                    "additionalProperties": false,
+ *                    "properties": {
+ *                      "businessUnit": { "enum": ["payments", "core", "platform"] },
+ *                      "tier": { "type": "integer", "pattern": "^[1-3]$" },
+ *                      "owner": { "type": "string", "pattern": "^[^@]+@example\\.com$" }
+ *                    }
+ *                  }
+ *
+ *          "type" is one of string, number, integer or boolean; numbers and booleans may also be
+ *          written as strings ("3", "true"), as they are in the CSV export.  Keys that are not
+ *          declared are reported as unknown, so a typo such as "buisnessUnit" is caught, unless
+ *          "additionalProperties" is true.  setProjectProperties.mjs checks the project list
+ *          against the schema before publishing; getProjectProperties.mjs audits the live
+ *          properties with it.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import { stripPlaceholder } from './projectProperties.mjs';
+
+const valueTypes = {
+  string: (value) => typeof value === 'string',
+  number: (value) => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))),
+  integer: (value) => Number.isInteger(typeof value === 'string' && value.trim() !== '' ? Number(value) : value),
+  boolean: (value) => typeof value === 'boolean' || value === 'true' || value === 'false'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check the schema itself and compile its patterns
+export const compileSchema = (schema) => {
+  if (!isPlainObject(schema)) {
+    throw new Error('The property schema must be a JSON object.');
+  }
+
+  const { required = [], additionalProperties = false, properties = {} } = schema;
+  if (!Array.isArray(required) || !isPlainObject(properties) || typeof additionalProperties !== 'boolean') {
+    throw new Error('The property schema needs "required" as a list, "properties" as an object and "additionalProperties" as true or false.');
+  }
+
+  const rules = Object.fromEntries(Object.entries(properties).map(([key, rule]) => {
+    if (!isPlainObject(rule)) {
+      throw new Error(`Property schema: the rule for "${key}" must be an object.`);
+    }
+    if (rule.type !== undefined && !valueTypes[rule.type]) {
+      throw new Error(`Property schema: unknown type "${rule.type}" for "${key}", expected one of: ${Object.keys(valueTypes).join(', ')}.`);
+    }
+    if (rule.enum !== undefined && !Array.isArray(rule.enum)) {
+      throw new Error(`Property schema: "enum" for "${key}" must be a list.`);
+    }
+
+    let pattern;
+    try {
+      pattern = rule.pattern !== undefined ? new RegExp(rule.pattern) : undefined;
+    } catch (error) {
+      throw new Error(`Property schema: invalid pattern for "${key}": ${error.message}`);
+    }
+
+    return [key, { ...rule, pattern }];
+  }));
+
+  return { required, additionalProperties, rules };
+};
+
+export const readSchema = async (schemaPath) => {
+  const schemaData = await fs.readFile(schemaPath, 'utf8');
+  return compileSchema(JSON.parse(schemaData));
+};
+
+// Check one property object: returns the violations as messages, empty when it is valid.
+// With { complete: false } (a merge entry, only part of the properties) required keys are not checked.
+export const validateProperties = (schema, properties = {}, { complete = true } = {}) => {
+  const violations = [];
+  const values = stripPlaceholder(properties);
+
+  if (complete) {
+    schema.required
+      .filter(key => values[key] === undefined || values[key] === null || values[key] === '')
+      .forEach(key => violations.push(`missing required key "${key}"`));
+  }
+
+  Object.entries(values).forEach(([key, value]) => {
+    // null removes the key, which is checked with the required keys
+    if (value === null) {
+      return;
+    }
+
+    const rule = schema.rules[key];
+    if (!rule) {
+      if (!schema.additionalProperties) {
+        violations.push(`unknown key "${key}"`);
+      }
+      return;
+    }
+
+    const shown = JSON.stringify(value);
+    if (rule.type && !valueTypes[rule.type](value)) {
+      violations.push(`"${key}": ${shown} is not of type ${rule.type}`);
+    }
+    if (rule.enum && !rule.enum.some(allowed => String(allowed) === String(value))) {
+      violations.push(`"${key}": ${shown} is not one of ${rule.enum.map(allowed => JSON.stringify(allowed)).join(', ')}`);
+    }
+    if (rule.pattern && !rule.pattern.test(String(value))) {
+      violations.push(`"${key}": ${shown} does not match ${rule.pattern.source}`);
+    }
+  });
+
+  return violations;
+};
+
+// Print the violations per project ({ id, name, violations }); returns the number of invalid projects
+export const reportViolations = (results) => {
+  const invalid = results.filter(result => result.violations.length);
+
+  if (!invalid.length) {
+    console.log(`Property schema: all ${results.length} projects are valid.`);
+    return 0;
+  }
+
+  console.error(`Property schema violations in ${invalid.length} of ${results.length} projects:`);
+  invalid.forEach(({ id, name, violations }) => {
+    console.error(`  ${name ? `${name} (ID: ${id})` : `ID: ${id}`}:`);
+    violations.forEach(violation => console.error(`    - ${violation}`));
+  });
+
+  return invalid.length;
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,168 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Snapshot history of the project properties.  Every fetch of the properties
+ *          (getProjectProperties.mjs, and setProjectProperties.mjs before it applies anything) saves
+ *          the properties of all projects to a timestamped file in "snapshotDir" (CONFIG.JSON,
+ *          default ./snapshots next to the config file):
+ *
+ *                  snapshots/properties-2026-10-19T14-05-00-000Z.json
+ *                  snapshots/properties-2026-10-19T14-05-00-000Z.staging.json     (--profile staging)
+ *
+ *                  { "takenAt": "...", "source": "properties get", "projects": [{ "id", "name", "properties" }] }
+ *
+ *          A snapshot is referred to by its file path, by "latest", or by any part of its time
+ *          stamp that matches only one snapshot ("2026-10-19T14-05").  diffPropertySnapshots.mjs
+ *          compares two snapshots, or a snapshot with the live properties;
+ *          rollbackProjectProperties.mjs restores the properties of a snapshot.
+ *
+ *          A fetch narrowed down with project filters (see fetchFilters.mjs) saves only the matching
+ *          projects and records the filters in "filters"; such a partial snapshot says nothing about
+ *          the other projects, so they are not reported as added or removed when it is compared.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { profilePath } from './runScript.mjs';
+import { diffProperties, isEmptyDiff, formatDiff } from './projectProperties.mjs';
+
+const defaultSnapshotDir = './snapshots';
+const snapshotPrefix = 'properties-';
+
+// 2026-10-19T14:05:00.000Z -> 2026-10-19T14-05-00-000Z, which is a valid file name everywhere
+const fileStamp = (isoTime) => isoTime.replace(/[:.]/g, '-');
+
+// loadConfig() resolves "snapshotDir", by default ./snapshots, against the config file's directory;
+// the fallback is for configs built by hand
+export const snapshotDirOf = (config) => config.snapshotDir || defaultSnapshotDir;
+
+// The snapshot files of the profile, oldest first
+export const listSnapshots = async (config) => {
+  const snapshotDir = snapshotDirOf(config);
+  const suffix = (config.profile ? `.${config.profile}.json` : '.json').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${snapshotPrefix}(\\d{4}-\\d\\d-\\d\\dT[\\d-]+Z)${suffix}$`);
+
+  let names;
+  try {
+    names = await fs.readdir(snapshotDir);
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      return [];
+    }
+    throw err;
+  }
+
+  return names
+    .filter(name => pattern.test(name))
+    .sort()
+    .map(name => ({ name, stamp: name.match(pattern)[1], path: path.join(snapshotDir, name) }));
+};
+
+// Save the properties of the fetched projects (JSON:API resources); resolves the snapshot file path
+export const writeSnapshot = async (config, projectsData, { source, filters }) => {
+  const takenAt = new Date().toISOString();
+  const snapshot = {
+    takenAt,
+    source,
+    ...(filters ? { filters } : {}),
+    projects: projectsData.map(project => ({
+      id: project.id,
+      name: project.attributes.name,
+      properties: project.attributes.properties || {}
+    }))
+  };
+
+  const snapshotDir = snapshotDirOf(config);
+  const snapshotPath = path.join(snapshotDir, profilePath(`${snapshotPrefix}${fileStamp(takenAt)}.json`, config.profile));
+
+  await fs.mkdir(snapshotDir, { recursive: true });
+  await fs.writeFile(snapshotPath, JSON.stringify(snapshot, null, 2), 'utf8');
+  console.log(`Property snapshot has been saved to ${snapshotPath}`);
+
+  return snapshotPath;
+};
+
+// Find a snapshot by file path, "latest" or part of its time stamp
+export const resolveSnapshot = async (config, reference) => {
+  try {
+    await fs.access(reference);
+    return reference;
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  const snapshots = await listSnapshots(config);
+  if (!snapshots.length) {
+    throw new Error(`No property snapshots found in ${snapshotDirOf(config)}.`);
+  }
+  if (reference === 'latest') {
+    return snapshots[snapshots.length - 1].path;
+  }
+
+  const matches = snapshots.filter(snapshot => snapshot.stamp.includes(reference));
+  if (matches.length !== 1) {
+    const found = matches.length ? `matches ${matches.length} snapshots: ${matches.map(match => match.name).join(', ')}` : 'matches no snapshot';
+    throw new Error(`Snapshot "${reference}" ${found}.`);
+  }
+
+  return matches[0].path;
+};
+
+export const readSnapshot = async (config, reference) => {
+  const snapshotPath = await resolveSnapshot(config, reference);
+  const snapshot = JSON.parse(await fs.readFile(snapshotPath, 'utf8'));
+
+  if (!Array.isArray(snapshot.projects)) {
+    throw new Error(`${snapshotPath} is not a property snapshot.`);
+  }
+
+  return { ...snapshot, path: snapshotPath };
+};
+
+// Compare the projects of two snapshots: { changed: [{ id, name, diff }], added, removed }
+export const compareSnapshots = (from, to) => {
+  const fromById = new Map(from.projects.map(project => [project.id, project]));
+  const toIds = new Set(to.projects.map(project => project.id));
+  const partial = Boolean(from.filters || to.filters);
+
+  const changed = to.projects
+    .filter(project => fromById.has(project.id))
+    .map(project => ({ id: project.id, name: project.name, diff: diffProperties(fromById.get(project.id).properties, project.properties) }))
+    .filter(({ diff }) => !isEmptyDiff(diff));
+
+  return {
+    changed,
+    added: partial ? [] : to.projects.filter(project => !fromById.has(project.id)),
+    removed: partial ? [] : from.projects.filter(project => !toIds.has(project.id))
+  };
+};
+
+// Print the comparison; returns the number of differences
+export const reportComparison = ({ changed, added, removed }, fromLabel, toLabel) => {
+  const count = changed.length + added.length + removed.length;
+  if (!count) {
+    console.log(`No property differences between ${fromLabel} and ${toLabel}.`);
+    return 0;
+  }
+
+  console.log(`Property differences between ${fromLabel} and ${toLabel}:`);
+  changed.forEach(({ id, name, diff }) => {
+    console.log(`Project ${name} (ID: ${id}):`);
+    console.log(formatDiff(diff));
+  });
+  added.forEach(project => console.log(`Project ${project.name} (ID: ${project.id}): only in ${toLabel}`));
+  removed.forEach(project => console.log(`Project ${project.name} (ID: ${project.id}): only in ${fromLabel}`));
+  console.log(`Projects changed: ${changed.length}, only in ${toLabel}: ${added.length}, only in ${fromLabel}: ${removed.length}`);
+
+  return count;
+};
+
+
+/*
+ *      eof.
+ */
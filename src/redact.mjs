@@ -0,0 +1,65 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Keeps secrets out of the log output.  Once a secret is registered, console.log,
+ *          console.info, console.warn and console.error replace it with "****" wherever it
+ *          appears, including inside logged objects.  Passwords, access tokens, JWTs and
+ *          Authorization headers that were never registered are masked by pattern as well.
+ *
+ * ==========================================================================================================
+ */
+
+import util from 'util';
+
+const mask = '****';
+
+// Shorter values would mask ordinary words; they are still covered by the patterns below
+const minSecretLength = 4;
+const secrets = new Set();
+let installed = false;
+
+const patterns = [
+  // Form data and query strings: password=..., accesstoken=..., access_token=...
+  [/((?:password|accesstoken|access_token)=)[^&;\s'"]+/gi, `$1${mask}`],
+  // Object properties: password: '...', "accesstoken": "...", jwt: '...'
+  [/((?:password|accesstoken|access_token|jwt)['"]?\s*:\s*['"])[^'"]*(['"])/gi, `$1${mask}$2`],
+  // Authorization: Bearer ...
+  [/(Bearer\s+)[A-Za-z0-9\-._~+/]+=*/g, `$1${mask}`]
+];
+
+export const redact = (text) => {
+  let redacted = text;
+
+  secrets.forEach(secret => {
+    redacted = redacted.split(secret).join(mask);
+  });
+
+  return patterns.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), redacted);
+};
+
+// Route the console methods through redact()
+const installRedaction = () => {
+  if (installed) {
+    return;
+  }
+  installed = true;
+
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    const write = console[method].bind(console);
+    console[method] = (...args) => write(redact(util.format(...args)));
+  });
+};
+
+export const registerSecret = (secret) => {
+  installRedaction();
+
+  if (typeof secret === 'string' && secret.trim().length >= minSecretLength) {
+    secrets.add(secret);
+  }
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,111 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Retry policy shared by every api call made through polarisClient.mjs.  Rate limited
+ *          (429) and unavailable (503) responses are retried for any request; other 5xx responses
+ *          and network errors are only retried for idempotent requests (GET, PUT, DELETE, ...), so
+ *          a POST that may already have been processed is not sent twice.
+ *
+ *          The delay doubles on every attempt (with jitter) up to "maxDelayMs".  When the server
+ *          sends a Retry-After header, the request waits at least that long, however long it is
+ *          compared to "maxDelayMs"; a Retry-After beyond "maxRetryAfterMs" is not waited for and
+ *          the error is thrown right away.  Once the attempts are used up the last error is
+ *          thrown, so a page that cannot be fetched fails the run instead of producing partial
+ *          output.
+ *
+ *          The policy is read from "retry" in CONFIG.JSON:
+ *
+ *                  "retry": { "maxAttempts": 5, "baseDelayMs": 1000, "maxDelayMs": 30000,
+ *                             "maxRetryAfterMs": 600000 }
+ *
+ * ==========================================================================================================
+ */
+
+export const defaultRetryPolicy = {
+  maxAttempts: 5,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 600000
+};
+
+const alwaysRetryStatuses = [429, 503];
+const idempotentMethods = ['get', 'head', 'options', 'put', 'delete'];
+const networkErrorCodes = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const isRetryable = (error, method = 'get') => {
+  const status = error.response?.status;
+
+  if (alwaysRetryStatuses.includes(status)) {
+    return true;
+  }
+
+  if (!idempotentMethods.includes(method.toLowerCase())) {
+    return false;
+  }
+
+  if (status) {
+    return status >= 500;
+  }
+
+  return networkErrorCodes.includes(error.code);
+};
+
+// Seconds or an HTTP date, converted to milliseconds
+export const retryAfterMs = (error) => {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (retryAfter === undefined || retryAfter === null || retryAfter === '') {
+    return undefined;
+  }
+
+  const seconds = Number(retryAfter);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+// The Retry-After of the server when it sent one, the backoff delay otherwise
+export const retryDelay = (attempt, error, policy = defaultRetryPolicy) => {
+  const serverDelay = retryAfterMs(error);
+  if (serverDelay !== undefined) {
+    return serverDelay;
+  }
+
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * policy.baseDelayMs;
+  return Math.min(exponential + jitter, policy.maxDelayMs);
+};
+
+// Run send() until it succeeds, the error is not retryable or the attempts are used up
+export const withRetry = async (send, { method = 'get', description = 'Request', policy = {} } = {}) => {
+  const retryPolicy = { ...defaultRetryPolicy, ...policy };
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await send();
+    } catch (error) {
+      if (attempt >= retryPolicy.maxAttempts || !isRetryable(error, method)) {
+        throw error;
+      }
+
+      const delay = retryDelay(attempt, error, retryPolicy);
+      const reason = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+      if (delay > retryPolicy.maxRetryAfterMs) {
+        console.error(`${description} failed (${reason}); the server asks to retry in ${Math.round(delay / 1000)}s, longer than retry.maxRetryAfterMs (${retryPolicy.maxRetryAfterMs} ms).`);
+        throw error;
+      }
+      console.error(`${description} failed (${reason}), retrying in ${Math.round(delay / 100) / 10}s (attempt ${attempt + 1} of ${retryPolicy.maxAttempts})...`);
+      await sleep(delay);
+    }
+  }
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,313 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Removes a user's or group's role assignments from coverity on polaris projects, for
+ *          example when someone leaves the team.  The assignments may optionally be transferred
+ *          to a replacement user, who is given the same role on each project before the original
+ *          assignment is deleted.
+ *
+ *          The assignments to remove are selected in one of two ways:
+ *
+ *              - from an edited "detailsList.json" or "detailsList.csv" (created by
+ *                getProjectUserInformation.mjs); keep only the rows to revoke.  A row with an
+ *                assignment ID revokes only that assignment, otherwise every assignment of the
+ *                user or group on the project.  "Via group" rows are skipped: revoke the group's
+ *                row, or take the user out of the group
+ *
+ *                  node ./revokeProjectRoles.mjs --input ./detailsList.csv
+ *
+ *              - by user email, across every project in "projectList.json" (fetched from the
+ *                api when the file does not exist)
+ *
+ *                  node ./revokeProjectRoles.mjs --email someone@example.com
+ *
+ *          Options:
+ *
+ *              --replace-with <email>   give the same roles to this user before revoking; the
+ *                                       replacement's own assignments are never revoked
+ *              --projects <file>        project list used with --email (default projectList.json)
+ *              --output <file>          where to write the changes (default roleAssignmentChanges.json)
+ *              --dry-run                only print the preview
+ *              --yes                    revoke without asking for confirmation
+ *
+ *          A preview of every change is printed first and nothing is deleted without confirmation.
+ *
+ *      Output:
+ *
+ *          The changes that were made are written to "roleAssignmentChanges.json".
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *                  -- Rows of the details list select their role assignment by its ID
+ *                  -- The preview names the role instead of showing its ID
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import { readCsv } from './csvReader.mjs';
+import { confirm } from './prompt.mjs';
+import { loadConfig, createPolarisClient, reportError } from './polarisClient.mjs';
+import { isMainModule, runCommand, UsageError, profilePath } from './runScript.mjs';
+import {
+  fetchProjectRoleAssignments,
+  describeRoleAssignments,
+  findUserByEmail,
+  hasRoleAssignment,
+  createRoleAssignment,
+  deleteRoleAssignment
+} from './roleAssignments.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+const defaultDetailsListPath = './detailsList.json';
+const defaultChangesPath = './roleAssignmentChanges.json';
+
+// Read the rows to revoke from detailsList.json or detailsList.csv
+const readDetails = async (inputPath) => {
+  if (inputPath.toLowerCase().endsWith('.csv')) {
+    const records = await readCsv(inputPath);
+    return records.map(record => ({
+      projectName: record['Project Name'],
+      projectId: record['Project ID'],
+      userType: record['Type'],
+      name: record['Name'],
+      email: record['Email'],
+      assignmentId: record['Assignment ID'],
+      access: record['Access']
+    }));
+  }
+
+  const detailsData = await fs.readFile(inputPath, 'utf8');
+  return JSON.parse(detailsData);
+};
+
+// Read every project, from projectList.json when it exists
+const readAllProjects = async (client, projectListPath) => {
+  try {
+    const projectListData = await fs.readFile(projectListPath, 'utf8');
+    console.log(`Reading projects from existing ${projectListPath}`);
+    return JSON.parse(projectListData);
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      throw err;
+    }
+  }
+
+  console.log(`${projectListPath} does not exist. Fetching projects from the API.`);
+  const { data } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+  return data.map(project => ({ id: project.id, name: project.attributes.name }));
+};
+
+// Group the principals to revoke by project: { projectId: { projectName, matchers: [] } }
+const buildTargets = async (client, { input, email, projectListPath }) => {
+  const targets = new Map();
+
+  const addTarget = (projectId, projectName, matcher) => {
+    if (!targets.has(projectId)) {
+      targets.set(projectId, { projectName, matchers: [] });
+    }
+    targets.get(projectId).matchers.push(matcher);
+  };
+
+  if (email) {
+    const projects = await readAllProjects(client, projectListPath);
+    projects.forEach(project => addTarget(project.id, project.name, { type: 'users', email }));
+    return targets;
+  }
+
+  const details = await readDetails(input);
+  const viaGroup = details.filter(row => (row.access || '').startsWith('Via group'));
+  if (viaGroup.length) {
+    console.log(`Skipping ${viaGroup.length} rows of access via a group; revoke the group's assignment instead.`);
+  }
+
+  details.filter(row => row.projectId && !viaGroup.includes(row)).forEach(row => {
+    const matcher = row.userType === 'GroupName'
+      ? { type: 'groups', name: row.name, assignmentId: row.assignmentId }
+      : { type: 'users', email: row.email, assignmentId: row.assignmentId };
+    addTarget(row.projectId, row.projectName, matcher);
+  });
+
+  return targets;
+};
+
+const matches = (assignment, matcher) => {
+  if (assignment.principalType !== matcher.type) {
+    return false;
+  }
+
+  if (matcher.assignmentId) {
+    return assignment.id === matcher.assignmentId;
+  }
+
+  if (matcher.type === 'groups') {
+    return assignment.name === matcher.name;
+  }
+
+  return (assignment.email || '').toLowerCase() === (matcher.email || '').toLowerCase();
+};
+
+export const revokeProjectRoles = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input,
+  email,
+  projectListPath = profilePath(defaultProjectListPath, profile),
+  output = profilePath(defaultChangesPath, profile),
+  replaceWith,
+  dryRun = false,
+  yes = false
+} = {}) => {
+  if (input && email) {
+    throw new UsageError('Use either --input or --email, not both.');
+  }
+  if (email && replaceWith && email.toLowerCase() === replaceWith.toLowerCase()) {
+    throw new UsageError('--replace-with must be another user than --email.');
+  }
+
+  const config = await loadConfig(configPath, { profile });
+  const client = createPolarisClient(config);
+
+  const replacement = replaceWith
+    ? await findUserByEmail(client, replaceWith)
+    : undefined;
+
+  const targets = await buildTargets(client, {
+    input: input || profilePath(defaultDetailsListPath, profile),
+    email,
+    projectListPath
+  });
+
+  // Collect the matching role assignments on every project
+  const plan = [];
+  for (const [projectId, { projectName, matchers }] of targets) {
+    console.log(`Fetching role assignments for project ${projectName} (ID: ${projectId})...`);
+    const roleAssignments = await fetchProjectRoleAssignments(client, projectId);
+
+    // The replacement keeps its own assignments: they are what the transfer relies on
+    describeRoleAssignments(roleAssignments)
+      .filter(assignment => matchers.some(matcher => matches(assignment, matcher)))
+      .filter(assignment => {
+        const ownAssignment = replacement && assignment.principalType === 'users' && assignment.principalId === replacement.id;
+        if (ownAssignment) {
+          console.log(`  Skipping ${assignment.email || assignment.name} on ${projectName} (ID: ${projectId}): it is the replacement user.`);
+        }
+        return !ownAssignment;
+      })
+      .forEach(assignment => plan.push({ projectId, projectName, assignment, roleAssignments: roleAssignments.data }));
+  }
+
+  if (!plan.length) {
+    console.log('No matching role assignments found.');
+    return [];
+  }
+
+  console.log('The following role assignments will be revoked:');
+  plan.forEach(({ projectName, projectId, assignment }) => {
+    const principal = assignment.email || assignment.name;
+    const transfer = replacement ? ` -> ${replacement.attributes.email}` : '';
+    console.log(`  ${projectName} (ID: ${projectId}): ${principal}, role ${assignment.roleName || assignment.roleId}${transfer}`);
+  });
+
+  if (dryRun) {
+    console.log('Dry run, no changes made.');
+    return [];
+  }
+
+  if (!yes && !await confirm(`Revoke ${plan.length} role assignments?`)) {
+    console.log('Exiting script without making changes.');
+    return [];
+  }
+
+  const changes = [];
+  for (const { projectId, projectName, assignment, roleAssignments } of plan) {
+    const change = {
+      projectId,
+      projectName,
+      roleAssignmentId: assignment.id,
+      roleId: assignment.roleId,
+      principal: assignment.email || assignment.name
+    };
+
+    try {
+      // Grant the replacement first so the project is never left without the role
+      if (replacement) {
+        const principal = { type: 'users', id: replacement.id };
+        if (hasRoleAssignment(roleAssignments, principal, assignment.roleId)) {
+          change.transferredTo = replacement.attributes.email;
+        } else {
+          const created = await createRoleAssignment(client, {
+            projectId,
+            principal,
+            roleId: assignment.roleId,
+            organizationId: config.orgIdToAssign && config.orgIdToAssign.trim()
+          });
+          if (created) {
+            roleAssignments.push(created);
+          }
+          change.transferredTo = replacement.attributes.email;
+          change.newRoleAssignmentId = created?.id;
+        }
+      }
+
+      await deleteRoleAssignment(client, assignment.id);
+      change.status = 'revoked';
+      console.log(`Revoked ${change.principal} on ${projectName} (ID: ${projectId})`);
+    } catch (error) {
+      console.error(`Error revoking ${change.principal} on ${projectName} (ID: ${projectId}):`);
+      reportError(error);
+      change.status = 'failed';
+    }
+
+    changes.push(change);
+  }
+
+  await fs.writeFile(output, JSON.stringify(changes, null, 2), 'utf8');
+  const failedCount = changes.filter(change => change.status === 'failed').length;
+  console.log(`Role assignments revoked: ${changes.length - failedCount}, failed: ${failedCount}`);
+  console.log(`Changes have been saved to ${output}`);
+
+  if (failedCount) {
+    process.exitCode = 1;
+  }
+
+  return changes;
+};
+
+export const command = {
+  description: 'Revoke (or transfer) role assignments',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' },
+    email: { type: 'string' },
+    projects: { type: 'string' },
+    output: { type: 'string' },
+    'replace-with': { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    yes: { type: 'boolean' }
+  },
+  run: (values) => revokeProjectRoles({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input,
+    email: values.email,
+    projectListPath: values.projects,
+    output: values.output,
+    replaceWith: values['replace-with'],
+    dryRun: values['dry-run'],
+    yes: values.yes
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
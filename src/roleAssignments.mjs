@@ -0,0 +1,136 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Helpers for the coverity on polaris role-assignments api (/api/auth/v2/role-assignments).
+ *          A role assignment grants a role on an object (here always a project) to either a user
+ *          or a group.  Used by getProjectUserInformation.mjs, assignProjectRoles.mjs and
+ *          revokeProjectRoles.mjs.
+ *
+ * ==========================================================================================================
+ */
+
+export const projectUrn = (projectId) => `urn:x-swip:projects:${projectId}`;
+
+// Fetch every role assignment on a project, including the role, user and group resources
+export const fetchProjectRoleAssignments = async (client, projectId) => {
+  const roleAssignmentsUrl = new URL(client.url('roleAssignmentsUrlTemplate'));
+  roleAssignmentsUrl.searchParams.set('filter[role-assignments][object][$eq]', projectUrn(projectId));
+  roleAssignmentsUrl.searchParams.append('include[role-assignments][]', 'role');
+  roleAssignmentsUrl.searchParams.append('include[role-assignments][]', 'user');
+  roleAssignmentsUrl.searchParams.append('include[role-assignments][]', 'group');
+
+  return client.list(roleAssignmentsUrl.toString());
+};
+
+// Flatten role assignments into one entry per assignment with the role and the user or group
+// resolved from included
+export const describeRoleAssignments = ({ data = [], included = [] }) => {
+  const includedById = new Map(included.map(item => [`${item.type}/${item.id}`, item]));
+
+  return data.map(assignment => {
+    const { relationships = {} } = assignment;
+    const roleId = relationships.role?.data?.id;
+    const user = relationships.user?.data;
+    const group = relationships.group?.data;
+    const principal = user || group;
+    const resource = principal ? includedById.get(`${principal.type}/${principal.id}`) : undefined;
+
+    return {
+      id: assignment.id,
+      roleId,
+      roleName: includedById.get(`roles/${roleId}`)?.attributes?.rolename || '',
+      principalType: user ? 'users' : 'groups',
+      principalId: principal?.id,
+      name: user ? resource?.attributes?.name : resource?.attributes?.groupname,
+      email: user ? resource?.attributes?.email || '' : ''
+    };
+  });
+};
+
+// The members of a group: resolves [{ id, name, email }]
+export const fetchGroupMembers = async (client, groupId) => {
+  const groupUrl = new URL(client.url('groupUrlTemplate', { groupId }));
+  groupUrl.searchParams.append('include[groups][]', 'users');
+
+  const response = await client.request({ method: 'get', url: groupUrl.toString() });
+  const { data, included = [] } = response.data;
+  const usersById = new Map(included.filter(item => item.type === 'users').map(user => [user.id, user]));
+
+  return (data.relationships?.users?.data || []).map(({ id }) => ({
+    id,
+    name: usersById.get(id)?.attributes?.name || '',
+    email: usersById.get(id)?.attributes?.email || ''
+  }));
+};
+
+// Look up a user by email address
+export const findUserByEmail = async (client, email) => {
+  const usersUrl = new URL(client.url('usersUrlTemplate'));
+  usersUrl.searchParams.set('filter[users][email][$eq]', email);
+
+  const { data } = await client.list(usersUrl.toString());
+  const user = data.find(item => item.attributes?.email?.toLowerCase() === email.toLowerCase());
+  if (!user) {
+    throw new Error(`No user found with email ${email}.`);
+  }
+
+  return user;
+};
+
+// Check whether the principal ({ type: 'users' | 'groups', id }) already holds the role
+export const hasRoleAssignment = (roleAssignments, principal, roleId) => {
+  const relationship = principal.type === 'groups' ? 'group' : 'user';
+
+  return roleAssignments.some(assignment => {
+    const { relationships = {} } = assignment;
+    return relationships.role?.data?.id === roleId &&
+      relationships[relationship]?.data?.id === principal.id;
+  });
+};
+
+// Grant a role on a project to a user or group
+export const createRoleAssignment = async (client, { projectId, principal, roleId, organizationId }) => {
+  const relationship = principal.type === 'groups' ? 'group' : 'user';
+
+  const relationships = {
+    role: { data: { type: 'roles', id: roleId } },
+    [relationship]: { data: { type: principal.type, id: principal.id } }
+  };
+
+  if (organizationId) {
+    relationships.organization = { data: { type: 'organizations', id: organizationId } };
+  }
+
+  const response = await client.request({
+    method: 'post',
+    url: client.url('roleAssignmentsUrlTemplate'),
+    headers: {
+      'Content-Type': 'application/vnd.api+json'
+    },
+    data: {
+      data: {
+        type: 'role-assignments',
+        attributes: {
+          object: projectUrn(projectId)
+        },
+        relationships
+      }
+    }
+  });
+
+  return response.data.data;
+};
+
+// Remove a role assignment
+export const deleteRoleAssignment = async (client, roleAssignmentId) => {
+  await client.request({
+    method: 'delete',
+    url: `${client.url('roleAssignmentsUrlTemplate')}/${encodeURIComponent(roleAssignmentId)}`
+  });
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,139 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Restores the project properties of a snapshot (see propertySnapshots.mjs).  The live
+ *          properties are fetched and compared with the snapshot; each project whose properties
+ *          differ gets the snapshot's properties back through the batch set-property endpoint,
+ *          the same way setProjectProperties.mjs applies them.  Projects that no longer exist are
+ *          skipped and projects created after the snapshot are left untouched.
+ *
+ *                  node ./rollbackProjectProperties.mjs --snapshot 2026-10-19T14-05 --dry-run
+ *                  node ./rollbackProjectProperties.mjs --snapshot latest --yes
+ *
+ *          The diff is printed first and the changes are only applied after confirmation (or with
+ *          --yes).  The live properties are saved as a new snapshot before anything is applied, so
+ *          a rollback can itself be rolled back.  Also available as "polaris-cop properties rollback".
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import { confirm } from './prompt.mjs';
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { readSnapshot, writeSnapshot } from './propertySnapshots.mjs';
+import { defaultBatchSize, groupIntoBatches, applyPropertyBatches } from './propertyBatches.mjs';
+import { diffProperties, isEmptyDiff, formatDiff } from './projectProperties.mjs';
+import { isMainModule, runCommand, UsageError, positiveInteger } from './runScript.mjs';
+
+const defaultConfigPath = './config.json';
+
+export const rollbackProjectProperties = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  snapshot,
+  yes = false,
+  dryRun = false,
+  batchSize
+} = {}) => {
+  if (!snapshot) {
+    throw new UsageError('--snapshot is required: a snapshot file, "latest" or part of its time stamp (see properties diff --list).');
+  }
+
+  const config = await loadConfig(configPath, { profile });
+  const maxBatchSize = positiveInteger(batchSize ?? config.setPropertyBatchSize ?? defaultBatchSize, 'batch size');
+
+  const restored = await readSnapshot(config, snapshot);
+  console.log(`Restoring the properties of ${restored.path} (taken ${restored.takenAt}, ${restored.projects.length} projects)`);
+
+  const client = createPolarisClient(config);
+  const { data: projectsData } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+  const currentProjects = new Map(projectsData.map(project => [project.id, project]));
+
+  const changes = [];
+  const missing = [];
+  restored.projects.forEach(project => {
+    const current = currentProjects.get(project.id);
+    if (!current) {
+      missing.push(project);
+      return;
+    }
+
+    const diff = diffProperties(current.attributes.properties || {}, project.properties);
+    if (!isEmptyDiff(diff)) {
+      changes.push({ id: project.id, name: current.attributes.name, properties: project.properties, diff });
+    }
+  });
+
+  changes.forEach(({ id, name, diff }) => {
+    console.log(`Project ${name} (ID: ${id}):`);
+    console.log(formatDiff(diff));
+  });
+  missing.forEach(project => console.error(`Project ${project.name} (ID: ${project.id}) no longer exists and will be skipped.`));
+
+  console.log(`Projects to restore: ${changes.length}, unchanged: ${restored.projects.length - changes.length - missing.length}, not found: ${missing.length}`);
+
+  if (!changes.length) {
+    console.log('Nothing to restore.');
+    return { succeeded: [], failed: [] };
+  }
+
+  if (dryRun) {
+    console.log('Dry run, no changes made.');
+    return { succeeded: [], failed: [] };
+  }
+
+  if (!yes && !await confirm(`Restore the properties of ${changes.length} projects?`)) {
+    console.log('Exiting script without making changes.');
+    return { succeeded: [], failed: [] };
+  }
+
+  await writeSnapshot(config, projectsData, { source: 'properties rollback' });
+
+  const batches = groupIntoBatches(changes.map(({ id, properties }) => ({ id, properties })), maxBatchSize);
+  const { succeeded, failed } = await applyPropertyBatches(client, batches);
+
+  console.log('Final status per project:');
+  succeeded.forEach(({ id, jobId }) => console.log(`  ${id}: restored${jobId ? ` (job ${jobId})` : ''}`));
+  failed.forEach(({ id, error }) => console.error(`  ${id}: failed - ${error}`));
+
+  console.log(`Project properties have been restored for ${succeeded.length} projects.`);
+  if (failed.length) {
+    console.error(`Failed to restore properties for ${failed.length} projects.`);
+    process.exitCode = 1;
+  }
+
+  return { succeeded, failed };
+};
+
+export const command = {
+  description: 'Restore the project properties of a snapshot',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    snapshot: { type: 'string' },
+    yes: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    'batch-size': { type: 'string' }
+  },
+  run: (values) => rollbackProjectProperties({
+    configPath: values.config,
+    profile: values.profile,
+    snapshot: values.snapshot,
+    yes: values.yes,
+    dryRun: values['dry-run'],
+    batchSize: values['batch-size']
+  })
+};
+
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
+
+
+/*
+ *      eof.
+ */
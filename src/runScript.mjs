@@ -0,0 +1,113 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Helpers for running a script from the command line.  Each script exports a command
+ *          ({ description, options, run }) so cli.mjs (polaris-cop) can call it, and only runs it
+ *          itself when it is the file node was started with:
+ *
+ *                  if (isMainModule(import.meta.url)) {
+ *                    runCommand(command);
+ *                  }
+ *
+ *          Exit codes: 0 on success, 1 when the command fails, 2 for invalid arguments.
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { reportError } from './polarisClient.mjs';
+
+// Thrown for invalid command line arguments or option values
+export class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+// True when node was started with this module (also through a symlink, e.g. an npm bin link)
+export const isMainModule = (moduleUrl) => {
+  if (!process.argv[1]) {
+    return false;
+  }
+
+  try {
+    return fs.realpathSync(path.resolve(process.argv[1])) === fs.realpathSync(fileURLToPath(moduleUrl));
+  } catch (err) {
+    return false;
+  }
+};
+
+const isUsageError = (error) => {
+  return error instanceof UsageError || String(error.code).startsWith('ERR_PARSE_ARGS');
+};
+
+// Run a command and turn its outcome into the process exit code
+export const runScript = async (command) => {
+  try {
+    await command();
+  } catch (error) {
+    if (isUsageError(error)) {
+      console.error(`Error: ${error.message}`);
+      process.exitCode = 2;
+    } else {
+      reportError(error);
+      process.exitCode = 1;
+    }
+  }
+};
+
+// Parse the arguments with the command's options (see parseArgs in node:util) and run it
+export const runCommand = (command, args = process.argv.slice(2)) => {
+  return runScript(() => {
+    const { values, positionals } = parseArgs({
+      args,
+      options: command.options,
+      allowPositionals: Boolean(command.allowPositionals)
+    });
+
+    return command.run(values, positionals);
+  });
+};
+
+// Parse a positive integer option such as --batch-size or --concurrency
+export const positiveInteger = (value, name) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`Invalid ${name} "${value}", expected a positive integer.`);
+  }
+  return number;
+};
+
+export const outputFormats = ['json', 'csv', 'both'];
+
+export const checkFormat = (format) => {
+  if (!outputFormats.includes(format)) {
+    throw new UsageError(`Unknown format "${format}", expected one of: ${outputFormats.join(', ')}.`);
+  }
+  return format;
+};
+
+// The CSV file written next to a JSON output file: ./out/list.json -> ./out/list.csv
+export const csvPathFor = (jsonPath) => {
+  return jsonPath.replace(/\.json$/i, '') + '.csv';
+};
+
+// Keep the files of each profile apart: ./projectList.json -> ./projectList.staging.json
+export const profilePath = (filePath, profile) => {
+  if (!profile) {
+    return filePath;
+  }
+
+  const extension = path.extname(filePath);
+  return `${filePath.slice(0, filePath.length - extension.length)}.${profile}${extension}`;
+};
+
+
+/*
+ *      eof.
+ */
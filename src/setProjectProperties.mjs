@@ -10,7 +10,45 @@
  *          do not need to update and update any key/value pairs you would like to post to the project.
  *          To run the second phase script: 
  * 
- *                  node ./setProperties.mjs
+ *                  node ./setProjectProperties.mjs
+ * 
+ *          The current properties of each project are fetched first and a per-project diff
+ *          (+ added, ~ changed, - removed keys) is printed.  Projects without changes and
+ *          placeholder { key: 'value' } entries are skipped.  The changes are only applied
+ *          after confirmation, or straight away with --apply.  Use --dry-run to only print
+ *          the diff.
+ *
+ *          Each project entry may set "operation" to "set" (replace all properties, the default),
+ *          "merge" (only add or update the listed keys) or "unset" (delete the listed keys).  A null
+ *          value or a "remove": ["key"] list deletes keys.  --operation merge changes the default:
+ *
+ *                  { "id": "...", "operation": "merge", "properties": { "tier": "1", "legacy": null } }
+ *                  { "id": "...", "remove": ["legacy"] }
+ *
+ *          Projects that end up with identical properties are sent in one batched request of up to
+ *          "setPropertyBatchSize" projects (CONFIG.JSON, default 100, or --batch-size).  A failed
+ *          batch is retried one project at a time and the projects that still fail are reported.
+ *          The job returned by each request is polled until it completes, so a project is only
+ *          reported as applied once its job has succeeded.
+ *
+ *          The CSV export of getProjectProperties.mjs, edited in a spreadsheet, is accepted as
+ *          well (--input projectList.csv); each row then holds the complete set of properties of
+ *          its project, see propertiesCsv.mjs.  Its columns and project IDs are checked before
+ *          anything is applied.
+ *
+ *          Instead of a project list, --rules reads a rules file (see propertyRules.mjs) that
+ *          assigns property templates to the projects matching a name pattern, type or ID.  The
+ *          rules are expanded against the fetched projects and previewed the same way:
+ *
+ *                  node ./setProjectProperties.mjs --rules ./propertyRules.json --dry-run
+ *
+ *          With a property schema (--schema, or "propertySchema" in CONFIG.JSON, see
+ *          propertySchema.mjs) the entries are checked before any API call, and the properties
+ *          each project would end up with before anything is applied.  Any violation is reported
+ *          per project and stops the run.
+ *
+ *          Before anything is applied, the properties as they were are saved as a snapshot (see
+ *          propertySnapshots.mjs); rollbackProjectProperties.mjs restores them.
  * 
  * 
  *      Usage:
@@ -22,150 +60,251 @@
  *          
  *          May 21, 2024 -- Initial build
  *                  -- David Nester (dnester@synopsys.com)
+ *
+ *          October 19, 2026
+ *                  -- Diff against the current properties before applying (--dry-run, --apply)
+ *                  -- Set, merge and unset operations per project (--operation)
+ *                  -- Batch projects with identical properties into one request (--batch-size)
+ *                  -- Wait for the async set-property job and report the final status per project
+ *                  -- Command line options (--config, --input, --yes), runnable through cli.mjs as
+ *                     "polaris-cop properties set"
+ *                  -- Rule-based assignment of property templates (--rules)
+ *                  -- Read the spreadsheet-edited CSV export (--input projectList.csv)
+ *                  -- Validate the properties against a property schema (--schema)
+ *                  -- Save a snapshot of the properties before applying changes
  * 
  * ==========================================================================================================
  */
 
-import axios from 'axios';
 import fs from 'fs/promises';
+import { confirm } from './prompt.mjs';
+import { loadConfig, createPolarisClient } from './polarisClient.mjs';
+import { isMainModule, runCommand, UsageError, positiveInteger, profilePath } from './runScript.mjs';
+import { defaultBatchSize, groupIntoBatches, applyPropertyBatches } from './propertyBatches.mjs';
+import { operations, resolveProperties, isNoopEntry, diffProperties, isEmptyDiff, formatDiff } from './projectProperties.mjs';
+import { readRules, expandRules } from './propertyRules.mjs';
+import { readPropertiesCsv, restoreCsvValues } from './propertiesCsv.mjs';
+import { readSchema, validateProperties, reportViolations } from './propertySchema.mjs';
+import { writeSnapshot } from './propertySnapshots.mjs';
+
+const defaultConfigPath = './config.json';
+const defaultProjectListPath = './projectList.json';
+
+// Check the entries against the schema: merge entries only hold part of the properties and
+// unset entries only remove keys, so required keys are checked on set entries only
+const validateEntries = (schema, projectList, defaultOperation) => {
+  return projectList
+    .filter(project => !isNoopEntry(project))
+    .map(project => {
+      const operation = project.operation || defaultOperation;
+      const properties = operation === 'unset' ? {} : project.properties;
+      const complete = operation === 'set' && Boolean(project.properties);
+      return { id: project.id, name: project.name, violations: validateProperties(schema, properties, { complete }) };
+    });
+};
+
+const checkSchema = (results) => {
+  if (reportViolations(results)) {
+    throw new Error('The properties do not match the property schema, no changes made.');
+  }
+};
+
+// Compare each entry in the project list with the project's current properties
+const planChanges = (projectList, currentProjects, defaultOperation) => {
+  const changes = [];
+  const unchanged = [];
+  const placeholders = [];
+  const missing = [];
+
+  for (const project of projectList) {
+    if (isNoopEntry(project)) {
+      placeholders.push(project);
+      continue;
+    }
+
+    const current = currentProjects.get(project.id);
+    if (!current) {
+      missing.push(project);
+      continue;
+    }
 
-const configPath = './config.json';
-const projectListPath = './projectList.json';
-
-const setProjectProperties = async () => {
-  try {
-    // Read config from config.json
-    const configData = await fs.readFile(configPath, 'utf8');
-    const config = JSON.parse(configData);
-
-    console.log('Config data loaded:', config);
-
-    const authUrl = config.authUrlTemplate.replace('{customer}', config.customer);
-    const authUrlV2 = config.authUrlV2Template.replace('{customer}', config.customer);
-    const setPropertyUrl = config.setPropertyUrlTemplate.replace('{customer}', config.customer);
-
-    let authConfig;
-
-    // Check if password or API key (access token) is provided and configure the auth request
-    if (config.password && config.password.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('password', config.password);
-
-      authConfig = {
-        method: 'post',
-        url: authUrl,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-    } else if (config.accesstoken && config.accesstoken.trim() !== "") {
-      const authData = new URLSearchParams();
-      authData.append('email', config.email);
-      authData.append('accesstoken', config.accesstoken);
-
-      authConfig = {
-        method: 'post',
-        url: authUrlV2,
-        headers: { 
-          'Accept': 'application/json',
-          'Content-Type': 'application/x-www-form-urlencoded'
-        },
-        data: authData
-      };
-
-      console.log('Using access token for authentication:');
-      console.log('Request URL:', authConfig.url);
-      console.log('Request Headers:', authConfig.headers);
-      console.log('Request Data:', authData.toString());
+    const currentProperties = current.attributes.properties || {};
+    const properties = resolveProperties(currentProperties, project, defaultOperation);
+    const diff = diffProperties(currentProperties, properties);
+
+    if (isEmptyDiff(diff)) {
+      unchanged.push(project);
     } else {
-      throw new Error('Neither password nor access token is provided in the config.');
+      changes.push({ project, name: current.attributes.name, properties, diff });
     }
+  }
+
+  return { changes, unchanged, placeholders, missing };
+};
+
+export const setProjectProperties = async ({
+  configPath = defaultConfigPath,
+  profile = process.env.POLARIS_PROFILE,
+  input,
+  rules,
+  schema,
+  apply = false,
+  yes = false,
+  dryRun = false,
+  operation = 'set',
+  batchSize
+} = {}) => {
+  if (!operations.includes(operation)) {
+    throw new UsageError(`Unknown operation "${operation}", expected one of: ${operations.join(', ')}.`);
+  }
+
+  if (input && rules) {
+    throw new UsageError('Use either --input or --rules, not both.');
+  }
+
+  const config = await loadConfig(configPath, { profile });
+  console.log(`Config data loaded from ${configPath}`);
+
+  // Group projects with identical properties into batched calls
+  const maxBatchSize = positiveInteger(batchSize ?? config.setPropertyBatchSize ?? defaultBatchSize, 'batch size');
+
+  const client = createPolarisClient(config);
 
-    console.log('Sending authentication request...');
-    // Request to retrieve JWT token
-    const authResponse = await axios.request(authConfig);
-    console.log('Authentication response received:', authResponse.status, authResponse.statusText);
+  const schemaPath = schema || config.propertySchema;
+  const propertySchema = schemaPath ? await readSchema(schemaPath) : undefined;
 
-    let token;
+  // Read the rules, or the project list from projectList.json or the CSV export
+  let projectList;
+  const projectListPath = input || profilePath(defaultProjectListPath, profile);
+  const fromCsv = !rules && /\.csv$/i.test(projectListPath);
+  const ruleSet = rules ? await readRules(rules) : undefined;
+  if (!ruleSet) {
+    projectList = fromCsv
+      ? await readPropertiesCsv(projectListPath)
+      : JSON.parse(await fs.readFile(projectListPath, 'utf8'));
+    console.log(`Project list loaded: ${projectList.length} projects`);
 
-    // Extract the token from the set-cookie header or response body
-    const setCookieHeader = authResponse.headers['set-cookie'];
-    if (setCookieHeader) {
-      const tokenCookie = setCookieHeader.find(cookie => cookie.startsWith('access_token='));
-      if (tokenCookie) {
-        token = tokenCookie.split(';')[0].split('=')[1];
-      }
+    // Reject invalid properties before any API call; the CSV cells are checked once their
+    // values are restored below
+    if (propertySchema && !fromCsv) {
+      checkSchema(validateEntries(propertySchema, projectList, operation));
     }
+  }
+
+  // Fetch the current properties of every project
+  const { data: projectsData } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+  const currentProjects = new Map(projectsData.map(project => [project.id, project]));
 
-    if (!token && authResponse.data && authResponse.data.jwt) {
-      token = authResponse.data.jwt;
+  // A mistyped ID in a spreadsheet stops the run before anything is applied
+  if (fromCsv) {
+    const unknownIds = projectList.filter(project => !currentProjects.has(project.id)).map(project => project.id);
+    if (unknownIds.length) {
+      throw new Error(`${projectListPath} lists unknown project IDs: ${unknownIds.join(', ')}.`);
     }
 
-    if (!token) {
-      throw new Error('No access token found in the response.');
+    // Cells are text: unedited ones take back the live value, numbers and booleans included
+    projectList = restoreCsvValues(projectList, new Map(projectsData.map(project => [project.id, project.attributes.properties || {}])));
+    if (propertySchema) {
+      checkSchema(validateEntries(propertySchema, projectList, operation));
     }
+  }
 
+  // Expand the rules against the fetched projects into the same entries as the project list
+  if (ruleSet) {
+    projectList = expandRules(ruleSet, projectsData.map(project => ({ id: project.id, ...project.attributes })));
+    console.log(`Rules loaded from ${rules}: ${projectList.length} of ${projectsData.length} projects matched`);
+    projectList.forEach(entry => console.log(`  ${entry.name} (ID: ${entry.id}): ${entry.rules.join(', ')}`));
 
-    // Remove if you need to check JWT
-    //console.log('Retrieved access token:', token);
-
-    
-    // Read project list from projectList.json
-    const projectListData = await fs.readFile(projectListPath, 'utf8');
-    const projectList = JSON.parse(projectListData);
-    console.log('Project list loaded:', projectList);
-
-    // Loop through each project and set properties
-    for (const project of projectList) {
-      console.log('Setting properties for project ID:', project.id);
-
-      const propertiesConfig = {
-        method: 'post',
-        url: setPropertyUrl,
-        headers: { 
-          'accept': 'application/json',
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        data: {
-          projects: [project.id],
-          properties: project.properties
-        }
-      };
-
-      try {
-        // Request to set properties for the project
-        const propertiesResponse = await axios.request(propertiesConfig);
-        console.log(`Response for project ID ${project.id}:`, propertiesResponse.status, propertiesResponse.statusText);
-
-        if (propertiesResponse.status === 200) {
-          console.log(`Project properties have been set successfully for project ID: ${project.id}`);
-        } else {
-          console.error(`HTTP Error for project ID ${project.id}: ${propertiesResponse.status} - ${propertiesResponse.statusText}`);
-        }
-      } catch (error) {
-        console.error(`Error setting properties for project ID ${project.id}:`, error.message);
-        if (error.response) {
-          console.error(`HTTP Error for project ID ${project.id}: ${error.response.status} - ${error.response.statusText}`);
-          console.error('Response data:', error.response.data);
-        }
-      }
+    if (propertySchema) {
+      checkSchema(validateEntries(propertySchema, projectList, operation));
     }
+  }
 
-  } catch (error) {
-    console.error('Error:', error.message);
-    if (error.response) {
-      // Handle errors from the server
-      console.error(`HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-      console.error('Response data:', error.response.data);
-    }
+  const { changes, unchanged, placeholders, missing } = planChanges(projectList, currentProjects, operation);
+
+  changes.forEach(({ project, name, diff }) => {
+    console.log(`Project ${name} (ID: ${project.id}):`);
+    console.log(formatDiff(diff));
+  });
+  missing.forEach(project => console.error(`Project ID ${project.id} was not found and will be skipped.`));
+
+  // The properties each project would end up with, merged with its current ones, must be valid too
+  if (propertySchema && changes.length) {
+    checkSchema(changes.map(({ project, name, properties }) => ({
+      id: project.id,
+      name,
+      violations: validateProperties(propertySchema, properties)
+    })));
+  }
+
+  console.log(`Projects to update: ${changes.length}, unchanged: ${unchanged.length}, placeholder entries skipped: ${placeholders.length}, not found: ${missing.length}`);
+
+  if (!changes.length) {
+    console.log('Nothing to update.');
+    return { succeeded: [], failed: [] };
+  }
+
+  if (dryRun) {
+    console.log('Dry run, no changes made.');
+    return { succeeded: [], failed: [] };
+  }
+
+  if (!apply && !yes && !await confirm(`Apply property changes to ${changes.length} projects?`)) {
+    console.log('Exiting script without making changes.');
+    return { succeeded: [], failed: [] };
   }
+
+  // Record the properties as they were before this run, so it can be rolled back
+  await writeSnapshot(config, projectsData, { source: 'properties set' });
+
+  const batches = groupIntoBatches(changes.map(({ project, properties }) => ({ id: project.id, properties })), maxBatchSize);
+  const { succeeded, failed } = await applyPropertyBatches(client, batches);
+
+  // Report the final status of every project
+  console.log('Final status per project:');
+  succeeded.forEach(({ id, jobId }) => console.log(`  ${id}: applied${jobId ? ` (job ${jobId})` : ''}`));
+  failed.forEach(({ id, error }) => console.error(`  ${id}: failed - ${error}`));
+
+  console.log(`Project properties have been set successfully for ${succeeded.length} projects.`);
+  if (failed.length) {
+    console.error(`Failed to set properties for ${failed.length} projects.`);
+    process.exitCode = 1;
+  }
+
+  return { succeeded, failed };
+};
+
+export const command = {
+  description: 'Publish the properties in the project list',
+  options: {
+    config: { type: 'string' },
+    profile: { type: 'string' },
+    input: { type: 'string' },
+    rules: { type: 'string' },
+    schema: { type: 'string' },
+    apply: { type: 'boolean' },
+    yes: { type: 'boolean' },
+    'dry-run': { type: 'boolean' },
+    operation: { type: 'string' },
+    'batch-size': { type: 'string' }
+  },
+  run: (values) => setProjectProperties({
+    configPath: values.config,
+    profile: values.profile,
+    input: values.input,
+    rules: values.rules,
+    schema: values.schema,
+    apply: values.apply,
+    yes: values.yes,
+    dryRun: values['dry-run'],
+    operation: values.operation,
+    batchSize: values['batch-size']
+  })
 };
 
-setProjectProperties();
+if (isMainModule(import.meta.url)) {
+  runCommand(command);
+}
 
 
 /*
@@ -0,0 +1,52 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Bounded-concurrency worker pool.  Runs an async worker over a list of items with at
+ *          most "concurrency" workers in flight and returns the results in the order of the
+ *          items, whatever order the workers finish in.  The first error stops new work from
+ *          being started and is thrown once the running workers have settled.
+ *
+ * ==========================================================================================================
+ */
+
+export const defaultConcurrency = 5;
+
+export const mapWithConcurrency = async (items, worker, { concurrency = defaultConcurrency, onProgress } = {}) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+  let completed = 0;
+  let failure;
+
+  const runWorker = async () => {
+    while (nextIndex < items.length && !failure) {
+      const index = nextIndex++;
+
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+        return;
+      }
+
+      completed++;
+      if (onProgress) {
+        onProgress(completed, items.length);
+      }
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(concurrency, items.length));
+  await Promise.all(Array.from({ length: workerCount }, runWorker));
+
+  if (failure) {
+    throw failure;
+  }
+
+  return results;
+};
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileCleanupRules, selectBranches } from '../src/branchCleanupRules.mjs';
+import { getProjectBranches } from '../src/getProjectBranches.mjs';
+import { cleanupProjectBranches } from '../src/cleanupProjectBranches.mjs';
+import { setup } from './helpers.mjs';
+import { createFixtures } from './fixtures.mjs';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+const branch = (id, name, updatedAt, main = false) => ({
+  id,
+  attributes: { name, 'main-for-project': main, 'updated-at': updatedAt },
+  relationships: { project: { data: { id: id.split('-')[0] } } }
+});
+
+test('stale branches are selected by name and age, never the default branch or excluded ones', () => {
+  const cleanupRules = compileCleanupRules({
+    rules: [{ name: '^feature/', olderThanDays: 30 }, { olderThanDays: 365 }],
+    exclude: { name: ['^release/'], project: ['p9'] }
+  });
+
+  const { selected, protectedDefaults, excluded } = selectBranches(cleanupRules, [
+    branch('p1-a', 'feature/old', daysAgo(40)),
+    branch('p1-b', 'feature/new', daysAgo(10)),
+    branch('p1-c', 'bugfix/ancient', daysAgo(400)),
+    branch('p1-d', 'main', daysAgo(400), true),
+    branch('p1-e', 'release/1.0', daysAgo(400)),
+    branch('p9-a', 'feature/old', daysAgo(40)),
+    branch('p1-f', 'feature/unknown', undefined)
+  ]);
+
+  assert.deepEqual(selected.map(({ branch, rule }) => `${branch.id} ${rule}`), ['p1-a Rule 1', 'p1-c Rule 2']);
+  assert.deepEqual(protectedDefaults.map(entry => entry.id), ['p1-d']);
+  assert.deepEqual(excluded.map(entry => entry.id), ['p1-e', 'p9-a']);
+});
+
+test('invalid cleanup rules are rejected', () => {
+  assert.throws(() => compileCleanupRules({ rules: [] }), /non-empty "rules" list/);
+  assert.throws(() => compileCleanupRules({ rules: [{ age: 3 }] }), /Rule 1: a rule needs name and\/or olderThanDays/);
+  assert.throws(() => compileCleanupRules({ rules: [{ name: '(' }] }), /Rule 1: invalid name pattern/);
+  assert.throws(() => compileCleanupRules({ rules: [{ olderThanDays: 5 }], exclude: { branch: [] } }), /"exclude" may only contain/);
+});
+
+test('branches cleanup previews, deletes and logs the stale branches', async (t) => {
+  const fixtures = createFixtures();
+  const developUpdatedAt = daysAgo(400);
+  fixtures.branches.forEach(entry => {
+    entry.updatedAt = { 'p1-develop': developUpdatedAt, 'p2-release': daysAgo(100) }[entry.id] || daysAgo(1);
+  });
+  const run = await setup(t, { fixtures });
+
+  const branchesListPath = run.path('branchesList.json');
+  await getProjectBranches({ configPath: run.configPath, input: run.path('projectList.json'), output: branchesListPath, format: 'json' });
+
+  const options = { configPath: run.configPath, input: branchesListPath, log: run.path('branchCleanupLog.json'), olderThan: '30' };
+
+  await cleanupProjectBranches({ ...options, dryRun: true });
+  assert.ok(run.output.includes('Branches to delete: 2'));
+  assert.equal(run.mock.state.branches.length, 9);
+
+  const changes = await cleanupProjectBranches({ ...options, exclude: '^release/', yes: true });
+
+  assert.deepEqual(changes.map(change => `${change.branchId} ${change.status}`), ['p1-develop deleted']);
+  assert.ok(!run.mock.state.branches.some(entry => entry.id === 'p1-develop'));
+  assert.equal((await run.readJson('branchesList.json')).data.length, 8);
+
+  // A second run appends to the log
+  await cleanupProjectBranches({ ...options, yes: true });
+  const log = await run.readJson('branchCleanupLog.json');
+  assert.deepEqual(log.map(entry => entry.branchName), ['develop', 'release/1.0']);
+  assert.equal(log[0]['updated-at'], developUpdatedAt);
+});
+
+test('branches cleanup needs a selection', async (t) => {
+  const run = await setup(t);
+
+  await assert.rejects(cleanupProjectBranches({ configPath: run.configPath }), { name: 'UsageError' });
+  await assert.rejects(cleanupProjectBranches({ configPath: run.configPath, rules: 'rules.json', name: 'x' }), /either --rules or/);
+});
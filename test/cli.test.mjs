@@ -0,0 +1,49 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { fileURLToPath } from 'url';
+import { setup } from './helpers.mjs';
+
+const cliPath = fileURLToPath(new URL('../src/cli.mjs', import.meta.url));
+
+// Run polaris-cop in a child process: resolves { code, stdout, stderr }
+const polarisCop = (args, { cwd } = {}) => {
+  return new Promise((resolve) => {
+    execFile(process.execPath, [cliPath, ...args], { cwd, timeout: 30000 }, (error, stdout, stderr) => {
+      resolve({ code: error ? error.code : 0, stdout, stderr });
+    });
+  });
+};
+
+test('polaris-cop --help lists the commands', async () => {
+  const { code, stdout } = await polarisCop(['--help']);
+
+  assert.equal(code, 0);
+  assert.match(stdout, /properties set/);
+  assert.match(stdout, /access revoke/);
+});
+
+test('polaris-cop exits with 2 for an unknown command or option', async () => {
+  assert.equal((await polarisCop(['nonsense'])).code, 2);
+  assert.equal((await polarisCop(['projects', '--no-such-option'])).code, 2);
+  assert.equal((await polarisCop(['projects', '--format', 'xml'])).code, 2);
+});
+
+test('polaris-cop projects runs against the server and exits with 0', async (t) => {
+  const run = await setup(t);
+
+  const { code, stdout } = await polarisCop(['projects', '--config', run.configPath, '--yes'], { cwd: run.dir });
+
+  assert.equal(code, 0);
+  assert.match(stdout, /Project list has been saved to \.\/projectList\.json/);
+  assert.equal((await run.readJson('projectList.json')).length, 7);
+});
+
+test('polaris-cop exits with 1 when the command fails', async (t) => {
+  const run = await setup(t, { config: { password: 'wrong-password' } });
+
+  const { code, stderr } = await polarisCop(['projects', '--config', run.configPath, '--yes'], { cwd: run.dir });
+
+  assert.equal(code, 1);
+  assert.match(stderr, /HTTP Error: 401/);
+});
@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseFilters, matchesProject } from '../src/fetchFilters.mjs';
+import { getProjectList } from '../src/getProjectList.mjs';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { getProjectBranches } from '../src/getProjectBranches.mjs';
+import { getProjectUserInformation } from '../src/getProjectUserInformation.mjs';
+import { setup } from './helpers.mjs';
+import { createFixtures } from './fixtures.mjs';
+
+const listRequests = (run, path) => run.mock.requests.filter(request => request.method === 'GET' && request.path === path);
+
+test('project filters match by name, ID, type and property', () => {
+  const project = { id: 'p1', name: 'Payments API', type: 'project', properties: { tier: '1', owner: 'platform' } };
+  const matches = (filters) => matchesProject(parseFilters(filters), project);
+
+  assert.ok(matches({}));
+  assert.ok(matches({ projectName: '^Pay', projectId: 'p9, p1', projectType: 'project' }));
+  assert.ok(matches({ property: 'owner' }));
+  assert.ok(matches({ property: 'tier=1' }));
+  assert.ok(!matches({ property: 'tier=2' }));
+  assert.ok(!matches({ projectName: 'api$' }));
+  assert.ok(!matches({ projectType: 'library' }));
+
+  assert.throws(() => parseFilters({ projectName: '(' }), { name: 'UsageError' });
+  assert.throws(() => parseFilters({ property: '=1' }), { name: 'UsageError' });
+});
+
+test('project ID and type filters are pushed down, the others applied client-side', async (t) => {
+  const fixtures = createFixtures();
+  fixtures.projects[1].type = 'library';
+  fixtures.projects[2].type = 'library';
+  const run = await setup(t, { fixtures });
+
+  const projects = await getProjectProperties({
+    configPath: run.configPath,
+    output: run.path('projectList.json'),
+    format: 'json',
+    filters: { projectType: 'library', property: 'tier' }
+  });
+
+  assert.deepEqual(projects.map(project => project.id), ['p2']);
+  assert.ok(listRequests(run, '/api/common/v0/projects').every(request => request.query['filter[projects][type][$eq]'] === 'library'));
+  assert.ok(run.output.includes('Projects matching the filters (type = library, has property tier): 1 of 2 fetched'));
+
+  // Without a parameter in the config the filter is applied client-side only
+  const unfiltered = await setup(t, { fixtures: createFixtures(), config: { serverFilters: {} } });
+  const [project] = await getProjectList({ configPath: unfiltered.configPath, output: unfiltered.path('projectList.json'), format: 'json', filters: { projectId: 'p3' } });
+
+  assert.equal(project.id, 'p3');
+  assert.ok(listRequests(unfiltered, '/api/common/v0/projects').every(request => !('filter[projects][id][$in]' in request.query)));
+});
+
+test('a filtered refresh leaves the projects outside the filters alone', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, output: run.path('projectList.json'), format: 'json' };
+  await getProjectList(options);
+  const { fetchedAt } = await run.readJson('projectList.cache.json');
+
+  // p2 is renamed, p5 deleted on the server; only p1 and p2 are fetched
+  run.mock.state.projects[1].name = 'Project 2 (renamed)';
+  run.mock.state.projects.splice(4, 1);
+  await getProjectList({ ...options, filters: { projectId: 'p1,p2' } });
+
+  const list = await run.readJson('projectList.json');
+  assert.deepEqual(list.map(project => project.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7']);
+  assert.equal(list[1].name, 'Project 2 (renamed)');
+  assert.ok(!run.output.some(line => line.includes('removed on the server')));
+  assert.equal((await run.readJson('projectList.cache.json')).fetchedAt, fetchedAt);
+});
+
+test('a filtered refresh decides the scope from the server, not from local edits', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, output: run.path('projectList.json'), format: 'json' };
+  await getProjectProperties(options);
+
+  // p2 is edited locally to match the filter, but on the server it does not
+  const edited = (await run.readJson('projectList.json')).map(project => project.id === 'p2' ? { ...project, properties: { tier: '1' } } : project);
+  await run.writeJson('projectList.json', edited);
+  await getProjectProperties({ ...options, filters: { property: 'tier=1' } });
+
+  const list = await run.readJson('projectList.json');
+  assert.deepEqual(list.find(project => project.id === 'p2').properties, { tier: '1' });
+  assert.ok(!run.output.some(line => line.includes('removed on the server')));
+
+  // p1 matched on the server at the last sync, so it is removed once the server no longer has it
+  run.mock.state.projects.splice(0, 1);
+  await getProjectProperties({ ...options, filters: { property: 'tier=1' } });
+
+  assert.ok(!(await run.readJson('projectList.json')).some(project => project.id === 'p1'));
+  assert.ok(run.output.some(line => line.includes('  - removed on the server: Project 1 (ID: p1)')));
+});
+
+test('a filtered first fetch is not reused for an unfiltered run', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('detailsList.json'), format: 'json' };
+  await getProjectUserInformation({ ...options, filters: { projectId: 'p2' } });
+  assert.equal((await run.readJson('projectList.cache.json')).partial, true);
+
+  await getProjectUserInformation(options);
+
+  assert.ok(run.output.includes(`${run.path('projectList.json')} only holds the projects of a filtered fetch, refreshing it.`));
+  assert.ok(run.output.includes('Fetching role assignments for 7 projects (5 at a time)...'));
+  assert.equal((await run.readJson('projectList.json')).length, 7);
+  assert.ok(!('partial' in await run.readJson('projectList.cache.json')));
+});
+
+test('branches of the matching projects are fetched and the others kept in the branch list', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('branchesList.json'), format: 'json' };
+  await getProjectBranches(options);
+
+  const branches = await getProjectBranches({ ...options, filters: { projectName: '^Project 1$' } });
+
+  assert.deepEqual(branches.map(branch => branch.id), ['p1-main', 'p1-develop']);
+  assert.equal(listRequests(run, '/api/common/v0/branches').at(-1).query['filter[branches][project][id][$in]'], 'p1');
+  assert.equal((await run.readJson('branchesList.json')).data.length, 9);
+  assert.ok(run.output.some(line => line.startsWith('No branch changes since the last fetch')));
+});
+
+test('nothing is fetched when no project matches', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('branchesList.json'), format: 'json' };
+
+  const branches = await getProjectBranches({ ...options, filters: { projectName: '^No such project$' } });
+  assert.deepEqual(branches, []);
+  assert.deepEqual(listRequests(run, '/api/common/v0/branches'), []);
+
+  const projectRequests = listRequests(run, '/api/common/v0/projects').length;
+  await getProjectList({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json', filters: { projectId: ',' } });
+  assert.equal(listRequests(run, '/api/common/v0/projects').length, projectRequests);
+});
+
+test('access is narrowed down to a user or a group', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('detailsList.json'), format: 'json' };
+
+  const byEmail = await getProjectUserInformation({ ...options, filters: { email: 'ANN@example.com' } });
+  assert.deepEqual(byEmail.map(entry => `${entry.projectId} ${entry.name}`), ['p1 Ann Admin', 'p3 Ann Admin']);
+
+  // Bob has access to p1 via the group and to p2 directly
+  const byMember = await getProjectUserInformation({ ...options, filters: { email: 'bob@example.com' } });
+  assert.deepEqual(byMember.map(entry => `${entry.projectId} ${entry.name} ${entry.access}`), ['p1 Bob Builder Via group developers', 'p2 Bob Builder Direct']);
+
+  const byGroup = await getProjectUserInformation({ ...options, filters: { group: 'developers', projectId: 'p1,p2' } });
+  assert.deepEqual(byGroup.map(entry => `${entry.projectId} ${entry.name}`), ['p1 developers', 'p1 Bob Builder', 'p1 Cat Checker']);
+  assert.ok(run.output.includes('Fetching role assignments for 2 projects (5 at a time)...'));
+});
@@ -0,0 +1,68 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Seed data of the mock polaris server: seven projects (more than one page of the
+ *          five-project pages in config.json), their branches, users, groups, roles and role
+ *          assignments.  createFixtures() returns a fresh copy, so a test may change it freely.
+ *
+ * ==========================================================================================================
+ */
+
+import { projectUrn } from '../src/roleAssignments.mjs';
+
+export const credentials = {
+  email: 'tester@example.com',
+  password: 'test-password',
+  accesstoken: 'test-access-token'
+};
+
+export const createFixtures = () => {
+  const projects = Array.from({ length: 7 }, (_, index) => ({
+    id: `p${index + 1}`,
+    name: `Project ${index + 1}`,
+    type: 'project',
+    properties: {}
+  }));
+  projects[0].properties = { tier: '1', owner: 'platform' };
+  projects[1].properties = { tier: '2' };
+
+  const branches = projects.map(project => ({
+    id: `${project.id}-main`,
+    name: 'main',
+    main: true,
+    projectId: project.id,
+    updatedAt: '2026-10-01T12:00:00.000Z'
+  }));
+  branches.push({ id: 'p1-develop', name: 'develop', projectId: 'p1', updatedAt: '2025-01-15T09:30:00.000Z' });
+  branches.push({ id: 'p2-release', name: 'release/1.0', projectId: 'p2', updatedAt: '2026-06-01T08:00:00.000Z' });
+
+  const users = [
+    { id: 'u-ann', name: 'Ann Admin', email: 'ann@example.com' },
+    { id: 'u-bob', name: 'Bob Builder', email: 'bob@example.com' },
+    { id: 'u-cat', name: 'Cat Checker', email: 'cat@example.com' }
+  ];
+
+  const groups = [
+    { id: 'g-devs', name: 'developers', userIds: ['u-bob', 'u-cat'] }
+  ];
+
+  const roles = [
+    { id: 'r-admin', name: 'Project Administrator' },
+    { id: 'r-contributor', name: 'Contributor' }
+  ];
+
+  const roleAssignments = [
+    { id: 'ra-p1-ann', object: projectUrn('p1'), roleId: 'r-admin', userId: 'u-ann' },
+    { id: 'ra-p1-devs', object: projectUrn('p1'), roleId: 'r-contributor', groupId: 'g-devs' },
+    { id: 'ra-p2-bob', object: projectUrn('p2'), roleId: 'r-contributor', userId: 'u-bob' },
+    { id: 'ra-p3-ann', object: projectUrn('p3'), roleId: 'r-contributor', userId: 'u-ann' }
+  ];
+
+  return { credentials: { ...credentials }, projects, branches, users, groups, roles, roleAssignments };
+};
+
+
+/*
+ *      eof.
+ */
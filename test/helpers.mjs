@@ -0,0 +1,76 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Shared setup of the test suite: a mock polaris server per test, a temporary working
+ *          directory with a config.json pointing at it, and the console output captured instead
+ *          of printed.
+ *
+ *                  const run = await setup(t);
+ *                  await getProjectList({ configPath: run.configPath, output: run.path('projects.json') });
+ *
+ * ==========================================================================================================
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import util from 'util';
+import { fileURLToPath } from 'url';
+import { redact } from '../src/redact.mjs';
+import { startMockPolaris } from './mockPolaris.mjs';
+import { credentials } from './fixtures.mjs';
+
+const configTemplatePath = fileURLToPath(new URL('../src/config.json', import.meta.url));
+
+// Capture console output for the duration of the test: returns the array of logged lines,
+// redacted the way redact.mjs redacts the real console
+export const captureConsole = (t) => {
+  const lines = [];
+  ['log', 'info', 'warn', 'error'].forEach(method => {
+    t.mock.method(console, method, (...args) => lines.push(redact(util.format(...args))));
+  });
+  return lines;
+};
+
+// Start a mock server and write a config for it; everything is cleaned up after the test
+export const setup = async (t, { config = {}, fixtures } = {}) => {
+  const mock = await startMockPolaris({ fixtures });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'polaris-cop-'));
+  const output = captureConsole(t);
+
+  const template = JSON.parse(await fs.readFile(configTemplatePath, 'utf8'));
+  const configPath = path.join(dir, 'config.json');
+  await fs.writeFile(configPath, JSON.stringify({
+    ...template,
+    baseUrl: mock.baseUrl,
+    email: credentials.email,
+    password: credentials.password,
+    jobPollIntervalMs: 10,
+    jobTimeoutMs: 5000,
+    retry: { maxAttempts: 3, baseDelayMs: 10, maxDelayMs: 50 },
+    ...config
+  }, null, 2), 'utf8');
+
+  t.after(async () => {
+    process.exitCode = undefined;
+    await mock.close();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  return {
+    mock,
+    dir,
+    configPath,
+    output,
+    path: (name) => path.join(dir, name),
+    readJson: async (name) => JSON.parse(await fs.readFile(path.join(dir, name), 'utf8')),
+    writeJson: (name, value) => fs.writeFile(path.join(dir, name), JSON.stringify(value, null, 2), 'utf8'),
+    readText: (name) => fs.readFile(path.join(dir, name), 'utf8')
+  };
+};
+
+
+/*
+ *      eof.
+ */
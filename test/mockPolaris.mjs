@@ -0,0 +1,435 @@
+/* ==========================================================================================================
+ *
+ *      Description:
+ *
+ *          Local stand-in for the coverity on polaris api, used by the test suite and for trying
+ *          the scripts without a real tenant.  It implements the endpoints the scripts call:
+ *
+ *              POST   /api/auth/v1/authenticate                       email + password
+ *              POST   /api/auth/v2/authenticate                       email + accesstoken
+ *              GET    /api/common/v0/projects                         paginated, filter by id and type
+ *              GET    /api/common/v0/branches                         paginated, filter by project
+ *              DELETE /api/common/v0/branches/{id}
+ *              GET    /api/auth/v2/role-assignments                   filter by project, include
+ *              POST   /api/auth/v2/role-assignments
+ *              DELETE /api/auth/v2/role-assignments/{id}
+ *              GET    /api/auth/v2/users                              filter by email
+ *              GET    /api/auth/v2/groups/{id}                        include users
+ *              POST   /api/common/async/v0/projects/batch/set-property    returns a job
+ *              GET    /api/common/async/v0/jobs/{id}
+ *
+ *          The data is seeded from fixtures.mjs (or the fixtures passed in) and changed by the
+ *          requests, so a test can read back what a script did through "state".  Faults are
+ *          injected with fail(), expired sessions with expireTokens().
+ *
+ *      Usage:
+ *
+ *                  node ./test/mockPolaris.mjs [port]
+ *
+ *          and set "baseUrl" in the config to the printed URL, with the credentials of
+ *          fixtures.mjs (tester@example.com / test-password or test-access-token).
+ *
+ *      Date:
+ *
+ *          October 19, 2026 -- Initial build
+ *
+ * ==========================================================================================================
+ */
+
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { createFixtures } from './fixtures.mjs';
+
+const defaultPageLimit = 100;
+
+// An unsigned JWT with an "exp" claim, enough for the client to read the expiry
+const createJwt = (subject, lifetimeSeconds) => {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + lifetimeSeconds;
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode({ sub: subject, exp, jti: Math.random().toString(36).slice(2) })}.`;
+};
+
+const readBody = (req) => {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+};
+
+const parseBody = (req, body) => {
+  if (!body) {
+    return {};
+  }
+
+  if ((req.headers['content-type'] || '').includes('x-www-form-urlencoded')) {
+    return Object.fromEntries(new URLSearchParams(body));
+  }
+
+  return JSON.parse(body);
+};
+
+const send = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/vnd.api+json', ...headers });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const errorBody = (status, detail) => ({ errors: [{ status: String(status), detail }] });
+
+// Slice a collection by page[limit] and page[offset]
+const paginate = (items, searchParams) => {
+  const limit = Number(searchParams.get('page[limit]')) || defaultPageLimit;
+  const offset = Number(searchParams.get('page[offset]')) || 0;
+  return {
+    data: items.slice(offset, offset + limit),
+    meta: { total: items.length, limit, offset }
+  };
+};
+
+const projectResource = (baseUrl, project) => ({
+  type: 'projects',
+  id: project.id,
+  attributes: {
+    name: project.name,
+    type: project.type,
+    properties: { ...project.properties }
+  },
+  relationships: {
+    branches: { links: { related: `${baseUrl}/api/common/v0/branches?filter[branches][project][id][$eq]=${project.id}` } }
+  }
+});
+
+const branchResource = (branch) => ({
+  type: 'branches',
+  id: branch.id,
+  attributes: { name: branch.name, 'main-for-project': Boolean(branch.main), 'updated-at': branch.updatedAt },
+  relationships: { project: { data: { type: 'projects', id: branch.projectId } } }
+});
+
+const userResource = (user) => ({
+  type: 'users',
+  id: user.id,
+  attributes: { name: user.name, email: user.email }
+});
+
+const groupResource = (group) => ({
+  type: 'groups',
+  id: group.id,
+  attributes: { groupname: group.name }
+});
+
+const roleResource = (role) => ({
+  type: 'roles',
+  id: role.id,
+  attributes: { rolename: role.name }
+});
+
+const roleAssignmentResource = (assignment) => {
+  const relationships = {
+    role: { data: { type: 'roles', id: assignment.roleId } }
+  };
+
+  if (assignment.userId) {
+    relationships.user = { data: { type: 'users', id: assignment.userId } };
+  }
+  if (assignment.groupId) {
+    relationships.group = { data: { type: 'groups', id: assignment.groupId } };
+  }
+
+  return {
+    type: 'role-assignments',
+    id: assignment.id,
+    attributes: { object: assignment.object },
+    relationships
+  };
+};
+
+const jobResource = (job) => ({
+  type: 'jobs',
+  id: job.id,
+  attributes: {
+    status: job.status,
+    ...(job.failureReason && { failureReason: job.failureReason })
+  },
+  links: { self: `/api/common/async/v0/jobs/${job.id}` }
+});
+
+export const startMockPolaris = async ({ port = 0, fixtures = createFixtures() } = {}) => {
+  const state = {
+    ...fixtures,
+    jobs: new Map(),
+    tokens: new Set(),
+    // Project IDs whose set-property jobs fail
+    failingProjects: new Set(),
+    // Number of polls a job reports "running" before it finishes
+    jobPolls: 1,
+    tokenLifetimeSeconds: 3600
+  };
+
+  // Every request received: { method, path, query, body }
+  const requests = [];
+  const faults = [];
+  let nextId = 1;
+
+  // Answer the next "times" requests matching method and path with the given status
+  const fail = ({ method, path, status = 500, times = 1, headers = {}, body }) => {
+    faults.push({ method: method && method.toUpperCase(), path, status, times, headers, body });
+  };
+
+  // Reject every token issued so far, as if the sessions expired
+  const expireTokens = () => state.tokens.clear();
+
+  const takeFault = (method, pathname) => {
+    const fault = faults.find(candidate => {
+      return candidate.times > 0 &&
+        (!candidate.method || candidate.method === method) &&
+        (candidate.path instanceof RegExp ? candidate.path.test(pathname) : pathname.startsWith(candidate.path));
+    });
+
+    if (fault) {
+      fault.times--;
+    }
+    return fault;
+  };
+
+  const authenticate = (res, credentials, secretName) => {
+    const { credentials: expected } = state;
+    if (credentials.email !== expected.email || !credentials[secretName] || credentials[secretName] !== expected[secretName]) {
+      return send(res, 401, errorBody(401, 'Invalid credentials.'));
+    }
+
+    const jwt = createJwt(expected.email, state.tokenLifetimeSeconds);
+    state.tokens.add(jwt);
+
+    // v1 returns the token as a cookie, v2 in the body
+    return secretName === 'password'
+      ? send(res, 200, {}, { 'Set-Cookie': `access_token=${jwt}; Path=/; HttpOnly` })
+      : send(res, 200, { jwt });
+  };
+
+  // "a,b" of an [$in] filter parameter, undefined when the parameter is not set
+  const inFilter = (searchParams, name) => searchParams.has(name) ? searchParams.get(name).split(',') : undefined;
+
+  const listProjects = (res, searchParams) => {
+    const ids = inFilter(searchParams, 'filter[projects][id][$in]');
+    const type = searchParams.get('filter[projects][type][$eq]');
+    const projects = state.projects.filter(project => (!ids || ids.includes(project.id)) && (!type || project.type === type));
+    const page = paginate(projects, searchParams);
+    return send(res, 200, { ...page, data: page.data.map(project => projectResource(baseUrl, project)) });
+  };
+
+  const listBranches = (res, searchParams) => {
+    const projectIds = inFilter(searchParams, 'filter[branches][project][id][$in]');
+    const branches = state.branches.filter(branch => !projectIds || projectIds.includes(branch.projectId));
+    const page = paginate(branches, searchParams);
+    return send(res, 200, { ...page, data: page.data.map(branchResource) });
+  };
+
+  // A group with its members as the "users" relationship
+  const getGroup = (res, id, searchParams) => {
+    const group = state.groups.find(item => item.id === id);
+    if (!group) {
+      return send(res, 404, errorBody(404, `Group ${id} not found.`));
+    }
+
+    const members = state.users.filter(user => (group.userIds || []).includes(user.id));
+    const data = {
+      ...groupResource(group),
+      relationships: { users: { data: members.map(user => ({ type: 'users', id: user.id })) } }
+    };
+    const included = searchParams.getAll('include[groups][]').includes('users') ? members.map(userResource) : [];
+    return send(res, 200, { data, included });
+  };
+
+  const listRoleAssignments = (res, searchParams) => {
+    const object = searchParams.get('filter[role-assignments][object][$eq]');
+    const assignments = state.roleAssignments.filter(assignment => !object || assignment.object === object);
+    const page = paginate(assignments, searchParams);
+    const include = searchParams.getAll('include[role-assignments][]');
+
+    const included = [];
+    const addIncluded = (resource) => {
+      if (resource && !included.some(item => item.type === resource.type && item.id === resource.id)) {
+        included.push(resource);
+      }
+    };
+
+    page.data.forEach(assignment => {
+      if (include.includes('role')) {
+        const role = state.roles.find(item => item.id === assignment.roleId);
+        addIncluded(role && roleResource(role));
+      }
+      if (include.includes('user') && assignment.userId) {
+        const user = state.users.find(item => item.id === assignment.userId);
+        addIncluded(user && userResource(user));
+      }
+      if (include.includes('group') && assignment.groupId) {
+        const group = state.groups.find(item => item.id === assignment.groupId);
+        addIncluded(group && groupResource(group));
+      }
+    });
+
+    return send(res, 200, { ...page, data: page.data.map(roleAssignmentResource), included });
+  };
+
+  const createRoleAssignment = (res, body) => {
+    const { attributes = {}, relationships = {} } = body.data || {};
+    const assignment = {
+      id: `ra-${nextId++}`,
+      object: attributes.object,
+      roleId: relationships.role?.data?.id,
+      userId: relationships.user?.data?.id,
+      groupId: relationships.group?.data?.id
+    };
+
+    if (!assignment.object || !assignment.roleId || !(assignment.userId || assignment.groupId)) {
+      return send(res, 400, errorBody(400, 'A role assignment needs an object, a role and a user or group.'));
+    }
+
+    state.roleAssignments.push(assignment);
+    return send(res, 201, { data: roleAssignmentResource(assignment) });
+  };
+
+  const deleteRoleAssignment = (res, id) => {
+    const index = state.roleAssignments.findIndex(assignment => assignment.id === id);
+    if (index === -1) {
+      return send(res, 404, errorBody(404, `Role assignment ${id} not found.`));
+    }
+
+    state.roleAssignments.splice(index, 1);
+    return send(res, 204);
+  };
+
+  const deleteBranch = (res, id) => {
+    const index = state.branches.findIndex(branch => branch.id === id);
+    if (index === -1) {
+      return send(res, 404, errorBody(404, `Branch ${id} not found.`));
+    }
+
+    state.branches.splice(index, 1);
+    return send(res, 204);
+  };
+
+  const setProperties = (res, body) => {
+    const { projects = [], properties } = body;
+    const unknown = projects.filter(id => !state.projects.some(project => project.id === id));
+    if (!projects.length || !properties || unknown.length) {
+      return send(res, 400, errorBody(400, unknown.length ? `Unknown projects: ${unknown.join(', ')}` : 'projects and properties are required.'));
+    }
+
+    const job = { id: `job-${nextId++}`, status: 'running', polls: 0, projects, properties };
+    state.jobs.set(job.id, job);
+    return send(res, 202, { data: jobResource(job) });
+  };
+
+  // The properties are applied when the job finishes, unless one of its projects is failing
+  const pollJob = (res, id) => {
+    const job = state.jobs.get(id);
+    if (!job) {
+      return send(res, 404, errorBody(404, `Job ${id} not found.`));
+    }
+
+    if (job.status === 'running' && ++job.polls > state.jobPolls) {
+      const failing = job.projects.filter(projectId => state.failingProjects.has(projectId));
+      if (failing.length) {
+        job.status = 'failed';
+        job.failureReason = `Properties could not be set on ${failing.join(', ')}`;
+      } else {
+        job.status = 'completed';
+        state.projects
+          .filter(project => job.projects.includes(project.id))
+          .forEach(project => { project.properties = { ...job.properties }; });
+      }
+    }
+
+    return send(res, 200, { data: jobResource(job) });
+  };
+
+  const route = async (req, res) => {
+    const requestUrl = new URL(req.url, baseUrl);
+    const { pathname, searchParams } = requestUrl;
+    const method = req.method.toUpperCase();
+    const rawBody = await readBody(req);
+    const body = parseBody(req, rawBody);
+
+    requests.push({ method, path: pathname, query: Object.fromEntries(searchParams), body });
+
+    const fault = takeFault(method, pathname);
+    if (fault) {
+      return send(res, fault.status, fault.body ?? errorBody(fault.status, 'Injected failure.'), fault.headers);
+    }
+
+    if (method === 'POST' && pathname === '/api/auth/v1/authenticate') {
+      return authenticate(res, body, 'password');
+    }
+    if (method === 'POST' && pathname === '/api/auth/v2/authenticate') {
+      return authenticate(res, body, 'accesstoken');
+    }
+
+    const token = (req.headers.authorization || '').replace(/^Bearer\s+/, '');
+    if (!state.tokens.has(token)) {
+      return send(res, 401, errorBody(401, 'Not authenticated.'));
+    }
+
+    if (method === 'GET' && pathname === '/api/common/v0/projects') {
+      return listProjects(res, searchParams);
+    }
+    if (method === 'GET' && pathname === '/api/common/v0/branches') {
+      return listBranches(res, searchParams);
+    }
+    if (method === 'DELETE' && pathname.startsWith('/api/common/v0/branches/')) {
+      return deleteBranch(res, decodeURIComponent(pathname.split('/').pop()));
+    }
+    if (method === 'GET' && pathname === '/api/auth/v2/role-assignments') {
+      return listRoleAssignments(res, searchParams);
+    }
+    if (method === 'POST' && pathname === '/api/auth/v2/role-assignments') {
+      return createRoleAssignment(res, body);
+    }
+    if (method === 'DELETE' && pathname.startsWith('/api/auth/v2/role-assignments/')) {
+      return deleteRoleAssignment(res, decodeURIComponent(pathname.split('/').pop()));
+    }
+    if (method === 'GET' && pathname.startsWith('/api/auth/v2/groups/')) {
+      return getGroup(res, decodeURIComponent(pathname.split('/').pop()), searchParams);
+    }
+    if (method === 'GET' && pathname === '/api/auth/v2/users') {
+      const email = (searchParams.get('filter[users][email][$eq]') || '').toLowerCase();
+      const users = state.users.filter(user => !email || user.email.toLowerCase() === email);
+      const page = paginate(users, searchParams);
+      return send(res, 200, { ...page, data: page.data.map(userResource) });
+    }
+    if (method === 'POST' && pathname === '/api/common/async/v0/projects/batch/set-property') {
+      return setProperties(res, body);
+    }
+    if (method === 'GET' && pathname.startsWith('/api/common/async/v0/jobs/')) {
+      return pollJob(res, decodeURIComponent(pathname.split('/').pop()));
+    }
+
+    return send(res, 404, errorBody(404, `No route for ${method} ${pathname}`));
+  };
+
+  const server = http.createServer((req, res) => {
+    route(req, res).catch(error => send(res, 500, errorBody(500, error.message)));
+  });
+
+  await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const close = () => {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+
+  return { baseUrl, state, requests, fail, expireTokens, close };
+};
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const mock = await startMockPolaris({ port: Number(process.argv[2]) || 4599 });
+  console.log(`Mock polaris listening on ${mock.baseUrl}`);
+}
+
+
+/*
+ *      eof.
+ */
@@ -0,0 +1,150 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { loadConfig, createPolarisClient } from '../src/polarisClient.mjs';
+import { resolveCredentials } from '../src/credentials.mjs';
+import { retryDelay, defaultRetryPolicy } from '../src/retryPolicy.mjs';
+import { createFixtures, credentials } from './fixtures.mjs';
+import { setup } from './helpers.mjs';
+
+const projectsPath = '/api/common/v0/projects';
+
+const pageRequests = (mock, pathname) => mock.requests.filter(request => request.method === 'GET' && request.path === pathname);
+
+test('list fetches every page and stops at a short page', async (t) => {
+  const run = await setup(t);
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  const { data } = await client.list(client.url('projectsUrlTemplate'));
+
+  assert.deepEqual(data.map(project => project.id), ['p1', 'p2', 'p3', 'p4', 'p5', 'p6', 'p7']);
+  assert.deepEqual(pageRequests(run.mock, projectsPath).map(request => request.query['page[offset]']), ['0', '5']);
+});
+
+test('list requests one more, empty page when the total is a multiple of the page size', async (t) => {
+  const fixtures = createFixtures();
+  fixtures.projects = fixtures.projects.slice(0, 5);
+  const run = await setup(t, { fixtures });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  const { data } = await client.list(client.url('projectsUrlTemplate'));
+
+  assert.equal(data.length, 5);
+  assert.deepEqual(pageRequests(run.mock, projectsPath).map(request => request.query['page[offset]']), ['0', '5']);
+});
+
+test('list returns nothing for an empty collection', async (t) => {
+  const fixtures = createFixtures();
+  fixtures.projects = [];
+  const run = await setup(t, { fixtures });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  const { data } = await client.list(client.url('projectsUrlTemplate'), { limit: 3 });
+
+  assert.deepEqual(data, []);
+  assert.equal(pageRequests(run.mock, projectsPath).length, 1);
+});
+
+test('authenticates with an access token (auth v2)', async (t) => {
+  const run = await setup(t, { config: { password: '', accesstoken: credentials.accesstoken } });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  const { data } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+
+  assert.equal(data.length, 7);
+  assert.ok(run.mock.requests.some(request => request.path === '/api/auth/v2/authenticate'));
+});
+
+test('rejected credentials fail without retrying', async (t) => {
+  const run = await setup(t, { config: { password: 'wrong-password' } });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  await assert.rejects(client.list(client.url('projectsUrlTemplate')), error => error.response?.status === 401);
+  assert.equal(run.mock.requests.filter(request => request.path === '/api/auth/v1/authenticate').length, 1);
+});
+
+test('re-authenticates once when the session expires mid-run', async (t) => {
+  const run = await setup(t);
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  await client.list(client.url('projectsUrlTemplate'));
+  run.mock.expireTokens();
+  const { data } = await client.list(client.url('branchesUrlTemplate', { offset: 0 }));
+
+  assert.equal(data.length, 9);
+  assert.equal(run.mock.requests.filter(request => request.path === '/api/auth/v1/authenticate').length, 2);
+});
+
+test('retries a rate-limited request after Retry-After', async (t) => {
+  const run = await setup(t);
+  run.mock.fail({ method: 'get', path: projectsPath, status: 429, times: 2, headers: { 'Retry-After': '0' } });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  const { data } = await client.list(client.url('projectsUrlTemplate'), { limit: 500 });
+
+  assert.equal(data.length, 7);
+  assert.equal(pageRequests(run.mock, projectsPath).length, 3);
+});
+
+test('waits at least the Retry-After of the server', async (t) => {
+  const rateLimited = (retryAfter) => ({ response: { status: 429, headers: { 'retry-after': retryAfter } } });
+  assert.equal(retryDelay(1, rateLimited('120'), defaultRetryPolicy), 120000);
+  assert.ok(retryDelay(1, { response: { status: 503, headers: {} } }, defaultRetryPolicy) <= defaultRetryPolicy.maxDelayMs);
+
+  // A Retry-After beyond maxRetryAfterMs is not waited for
+  const run = await setup(t);
+  run.mock.fail({ method: 'get', path: projectsPath, status: 429, times: 1, headers: { 'Retry-After': '3600' } });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  await assert.rejects(client.list(client.url('projectsUrlTemplate')), error => error.response?.status === 429);
+  assert.equal(pageRequests(run.mock, projectsPath).length, 1);
+});
+
+test('gives up after the configured number of attempts', async (t) => {
+  const run = await setup(t);
+  run.mock.fail({ method: 'get', path: projectsPath, status: 503, times: 100 });
+  const client = createPolarisClient(await loadConfig(run.configPath));
+
+  await assert.rejects(client.list(client.url('projectsUrlTemplate')), error => error.response?.status === 503);
+  assert.equal(pageRequests(run.mock, projectsPath).length, 3);
+});
+
+test('masks the password and token in the log output', async (t) => {
+  const run = await setup(t);
+  const client = createPolarisClient(await loadConfig(run.configPath));
+  const token = await client.authenticate();
+
+  console.log(`password ${credentials.password}, token ${token}`);
+
+  assert.equal(run.output.at(-1), 'password ****, token ****');
+});
+
+test('each profile keeps its own credentials file', async (t) => {
+  const run = await setup(t);
+  const writeCredentials = async (name, email) => {
+    await run.writeJson(name, { email, accesstoken: `${email}-token` });
+    await fs.chmod(run.path(name), 0o600);
+  };
+  await writeCredentials('staging.json', 'staging@example.com');
+  await writeCredentials('shared.json', 'shared@example.com');
+  await writeCredentials('override.json', 'override@example.com');
+
+  const config = { credentialsFile: './staging.json' };
+  const resolve = (env, profile) => resolveCredentials(config, { configPath: run.configPath, profile, env }).then(resolved => resolved.email);
+
+  // With a profile, its own setting wins over the generic variable, which is relative to the current directory
+  const shared = path.relative(process.cwd(), run.path('shared.json'));
+  assert.equal(await resolve({ POLARIS_CREDENTIALS_FILE: shared }, 'staging'), 'staging@example.com');
+  assert.equal(await resolve({ POLARIS_CREDENTIALS_FILE: shared }), 'shared@example.com');
+  assert.equal(await resolve({ POLARIS_CREDENTIALS_FILE: shared, POLARIS_STAGING_CREDENTIALS_FILE: run.path('override.json') }, 'staging'), 'override@example.com');
+
+  // The generic variables only fill in what the profile does not have
+  const generic = { POLARIS_EMAIL: 'prod@example.com', POLARIS_ACCESS_TOKEN: 'PROD-token' };
+  const staging = await resolveCredentials(config, { configPath: run.configPath, profile: 'staging', env: generic });
+  assert.deepEqual([staging.email, staging.accesstoken], ['staging@example.com', 'staging@example.com-token']);
+  const other = await resolveCredentials({}, { configPath: run.configPath, profile: 'other', env: generic });
+  assert.deepEqual([other.email, other.accesstoken], ['prod@example.com', 'PROD-token']);
+  const profileEnv = await resolveCredentials(config, { configPath: run.configPath, profile: 'staging', env: { ...generic, POLARIS_STAGING_ACCESS_TOKEN: 'STAGING-env' } });
+  assert.equal(profileEnv.accesstoken, 'STAGING-env');
+});
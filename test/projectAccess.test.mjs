@@ -0,0 +1,152 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProjectUserInformation } from '../src/getProjectUserInformation.mjs';
+import { assignProjectRoles } from '../src/assignProjectRoles.mjs';
+import { revokeProjectRoles } from '../src/revokeProjectRoles.mjs';
+import { projectUrn } from '../src/roleAssignments.mjs';
+import { setup } from './helpers.mjs';
+
+const assignmentsOn = (run, projectId) => run.mock.state.roleAssignments.filter(assignment => assignment.object === projectUrn(projectId));
+
+test('access lists the users and groups of every project in project order', async (t) => {
+  const run = await setup(t);
+
+  const details = await getProjectUserInformation({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('detailsList.json'),
+    concurrency: 3
+  });
+
+  assert.deepEqual(details.map(entry => `${entry.projectId} ${entry.userType} ${entry.name}`), [
+    'p1 User Ann Admin',
+    'p1 GroupName developers',
+    'p1 User Bob Builder',
+    'p1 User Cat Checker',
+    'p2 User Bob Builder',
+    'p3 User Ann Admin'
+  ]);
+  assert.equal((await run.readJson('projectList.json')).length, 7);
+  assert.match(await run.readText('detailsList.csv'), /Project 2,p2,User,Bob Builder,bob@example.com,Contributor,ra-p2-bob,Direct/);
+});
+
+test('access has one row per role assignment, with the role and whether it is direct', async (t) => {
+  const run = await setup(t);
+  run.mock.state.roleAssignments.push({ id: 'ra-p1-ann-2', object: projectUrn('p1'), roleId: 'r-contributor', userId: 'u-ann' });
+
+  const details = await getProjectUserInformation({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('detailsList.json'),
+    format: 'json',
+    filters: { projectId: 'p1' }
+  });
+
+  assert.deepEqual(details.map(entry => `${entry.name}: ${entry.role} (${entry.assignmentId}, ${entry.access})`), [
+    'Ann Admin: Project Administrator (ra-p1-ann, Direct)',
+    'developers: Contributor (ra-p1-devs, Direct)',
+    'Bob Builder: Contributor (ra-p1-devs, Via group developers)',
+    'Cat Checker: Contributor (ra-p1-devs, Via group developers)',
+    'Ann Admin: Contributor (ra-p1-ann-2, Direct)'
+  ]);
+
+  // The members of a group are fetched once, however many projects it is assigned on
+  assert.equal(run.mock.requests.filter(request => request.path === '/api/auth/v2/groups/g-devs').length, 1);
+
+  // A row of the details list revokes only its own assignment; access via a group is not revoked per user
+  await run.writeJson('detailsList.json', details.filter(entry => entry.assignmentId === 'ra-p1-ann-2' || entry.access !== 'Direct'));
+  await revokeProjectRoles({ configPath: run.configPath, input: run.path('detailsList.json'), output: run.path('changes.json'), yes: true });
+
+  assert.deepEqual(assignmentsOn(run, 'p1').map(assignment => assignment.id), ['ra-p1-ann', 'ra-p1-devs']);
+});
+
+test('access fails when the role assignments of a project cannot be fetched', async (t) => {
+  const run = await setup(t);
+  run.mock.fail({ method: 'get', path: '/api/auth/v2/role-assignments', status: 500, times: 100 });
+
+  await assert.rejects(getProjectUserInformation({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('detailsList.json'),
+    format: 'json'
+  }));
+});
+
+test('access assign grants the role and skips existing assignments', async (t) => {
+  const run = await setup(t, { config: { userIdToAssign: 'u-ann', roleIdToAssign: 'r-admin' } });
+  await run.writeJson('projects.json', [{ id: 'p1', name: 'Project 1' }, { id: 'p2', name: 'Project 2' }]);
+
+  const { created, skipped, failed } = await assignProjectRoles({ configPath: run.configPath, input: run.path('projects.json') });
+
+  assert.deepEqual(created.map(entry => entry.projectId), ['p2']);
+  assert.deepEqual(skipped.map(entry => entry.projectId), ['p1']);
+  assert.deepEqual(failed, []);
+  assert.ok(assignmentsOn(run, 'p2').some(assignment => assignment.userId === 'u-ann' && assignment.roleId === 'r-admin'));
+});
+
+test('access assign carries on after a project fails and exits with 1', async (t) => {
+  const run = await setup(t, { config: { groupIdToAssign: 'g-devs', roleIdToAssign: 'r-contributor' } });
+  await run.writeJson('projects.json', [{ id: 'p2' }, { id: 'p3' }]);
+  run.mock.fail({ method: 'post', path: '/api/auth/v2/role-assignments', status: 500 });
+
+  const { created, failed } = await assignProjectRoles({ configPath: run.configPath, input: run.path('projects.json') });
+
+  assert.deepEqual(failed.map(entry => entry.projectId), ['p2']);
+  assert.deepEqual(created.map(entry => entry.projectId), ['p3']);
+  assert.equal(process.exitCode, 1);
+});
+
+test('access revoke --dry-run lists the assignments without removing them', async (t) => {
+  const run = await setup(t);
+
+  const changes = await revokeProjectRoles({
+    configPath: run.configPath,
+    email: 'ann@example.com',
+    projectListPath: run.path('projectList.json'),
+    output: run.path('changes.json'),
+    dryRun: true
+  });
+
+  assert.deepEqual(changes, []);
+  assert.ok(run.output.includes('  Project 1 (ID: p1): ann@example.com, role Project Administrator'));
+  assert.equal(run.mock.state.roleAssignments.length, 4);
+});
+
+test('access revoke transfers the roles of a user to a replacement', async (t) => {
+  const run = await setup(t);
+
+  const changes = await revokeProjectRoles({
+    configPath: run.configPath,
+    email: 'ann@example.com',
+    replaceWith: 'cat@example.com',
+    projectListPath: run.path('projectList.json'),
+    output: run.path('changes.json'),
+    yes: true
+  });
+
+  assert.deepEqual(changes.map(change => `${change.projectId} ${change.status} ${change.transferredTo}`), [
+    'p1 revoked cat@example.com',
+    'p3 revoked cat@example.com'
+  ]);
+  assert.ok(!run.mock.state.roleAssignments.some(assignment => assignment.userId === 'u-ann'));
+  assert.ok(assignmentsOn(run, 'p1').some(assignment => assignment.userId === 'u-cat' && assignment.roleId === 'r-admin'));
+  assert.equal((await run.readJson('changes.json')).length, 2);
+});
+
+test('access revoke never revokes the replacement user', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, projectListPath: run.path('projectList.json'), output: run.path('changes.json'), yes: true };
+
+  await assert.rejects(revokeProjectRoles({ ...options, email: 'ann@example.com', replaceWith: 'ANN@example.com' }), { name: 'UsageError' });
+
+  // A details list that still holds the replacement's own rows
+  await run.writeJson('detailsList.json', [
+    { projectId: 'p1', projectName: 'Project 1', userType: 'User', name: 'Ann Admin', email: 'ann@example.com' },
+    { projectId: 'p2', projectName: 'Project 2', userType: 'User', name: 'Bob Builder', email: 'bob@example.com' }
+  ]);
+  const changes = await revokeProjectRoles({ ...options, input: run.path('detailsList.json'), replaceWith: 'ann@example.com' });
+
+  assert.deepEqual(changes.map(change => `${change.projectId} ${change.principal} ${change.status}`), ['p2 bob@example.com revoked']);
+  assert.ok(assignmentsOn(run, 'p1').some(assignment => assignment.userId === 'u-ann'));
+  assert.ok(assignmentsOn(run, 'p2').some(assignment => assignment.userId === 'u-ann'));
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProjectBranches } from '../src/getProjectBranches.mjs';
+import { setup } from './helpers.mjs';
+import { createFixtures } from './fixtures.mjs';
+
+test('branches writes one row per branch and a summary per project', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', [
+    { id: 'p1', name: 'Project 1' },
+    { id: 'p2', name: 'Project 2' }
+  ]);
+
+  const branches = await getProjectBranches({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('branchesList.json'),
+    csvOutput: run.path('projectBranches.csv'),
+    summaryOutput: run.path('projectBranchSummary.csv')
+  });
+
+  assert.equal(branches.length, 9);
+  assert.equal((await run.readJson('branchesList.json')).data.length, 9);
+
+  const csv = (await run.readText('projectBranches.csv')).split('\n');
+  assert.equal(csv[0], '"Project ID","Project Name","Branch ID","Branch Name","Default","updated-at"');
+  assert.ok(csv.includes('"p1","Project 1","p1-develop","develop",false,"2025-01-15T09:30:00.000Z"'));
+  assert.ok(csv.includes('"p2","Project 2","p2-main","main",true,"2026-10-01T12:00:00.000Z"'));
+  // p3 is not in the project list, so the list was refreshed
+  assert.ok(run.output.includes(`5 branches belong to projects that are not in ${run.path('projectList.json')}, refreshing it.`));
+  assert.ok(csv.includes('"p3","Project 3","p3-main","main",true,"2026-10-01T12:00:00.000Z"'));
+  assert.equal((await run.readJson('projectList.json')).length, 7);
+
+  const summary = (await run.readText('projectBranchSummary.csv')).split('\n');
+  assert.equal(summary[0], '"Project ID","Project Name","Branch Count","Default Branch","Default Branch Count"');
+  assert.equal(summary[1], '"p1","Project 1",2,"main",1');
+});
+
+test('branches lists the projects without a default branch', async (t) => {
+  const fixtures = createFixtures();
+  fixtures.branches.find(branch => branch.id === 'p2-main').main = false;
+  fixtures.projects.push({ id: 'p8', name: 'Project 8', type: 'project', properties: {} });
+  const run = await setup(t, { fixtures });
+
+  await getProjectBranches({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('branchesList.json'),
+    csvOutput: run.path('projectBranches.csv'),
+    summaryOutput: run.path('projectBranchSummary.csv')
+  });
+
+  assert.ok(run.output.includes(`${run.path('projectList.json')} does not exist. Fetching projects from the API.`));
+  assert.ok(run.output.includes('Projects without a default branch: 1'));
+  assert.ok(run.output.includes('  Project 2 (ID: p2), 2 branches'));
+  assert.ok(run.output.includes('Projects without branches: 1'));
+  assert.ok(run.output.includes('  Project 8 (ID: p8), 0 branches'));
+});
+
+test('branches reports the branches whose project is missing', async (t) => {
+  const fixtures = createFixtures();
+  fixtures.branches.push({ id: 'gone-main', name: 'main', main: true, projectId: 'p-gone' });
+  const run = await setup(t, { fixtures });
+
+  await getProjectBranches({
+    configPath: run.configPath,
+    input: run.path('projectList.json'),
+    output: run.path('branchesList.json'),
+    csvOutput: run.path('projectBranches.csv'),
+    summaryOutput: run.path('projectBranchSummary.csv')
+  });
+
+  assert.ok(run.output.includes(`Branches whose project is not in ${run.path('projectList.json')}: 1`));
+  assert.ok(run.output.includes('  main (ID: gone-main), project ID p-gone'));
+  assert.match(await run.readText('projectBranches.csv'), /"p-gone","","gone-main","main",true/);
+});
+
+test('branches fails when a page cannot be fetched', async (t) => {
+  const run = await setup(t);
+  run.mock.fail({ method: 'get', path: '/api/common/v0/branches', status: 500, times: 100 });
+
+  await assert.rejects(
+    getProjectBranches({ configPath: run.configPath, input: run.path('projectList.json'), output: run.path('branchesList.json'), format: 'json', yes: true }),
+    error => error.response?.status === 500
+  );
+});
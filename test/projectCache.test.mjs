@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { syncProjectList } from '../src/projectCache.mjs';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { getProjectBranches } from '../src/getProjectBranches.mjs';
+import { getProjectUserInformation } from '../src/getProjectUserInformation.mjs';
+import { setup } from './helpers.mjs';
+
+const getProperties = (run, options = {}) =>
+  getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json', ...options });
+
+test('a refresh merges new, removed and renamed projects and keeps local edits', async (t) => {
+  const run = await setup(t);
+  await getProperties(run);
+  assert.match((await run.readJson('projectList.cache.json')).fetchedAt, /^\d{4}-\d\d-\d\dT/);
+
+  // Local edits: p1's properties are changed, p7 is dropped from the file
+  const edited = (await run.readJson('projectList.json'))
+    .filter(project => project.id !== 'p7')
+    .map(project => project.id === 'p1' ? { ...project, properties: { tier: '3', owner: 'platform' } } : project);
+  await run.writeJson('projectList.json', edited);
+
+  // Server changes: p2's properties, p3 renamed, p4 deleted, p8 created
+  const { projects } = run.mock.state;
+  projects[1].properties = { tier: '1' };
+  projects[2].name = 'Project 3 (renamed)';
+  projects.splice(3, 1);
+  projects.push({ id: 'p8', name: 'Project 8', type: 'project', properties: {} });
+
+  await getProperties(run);
+
+  const list = await run.readJson('projectList.json');
+  assert.deepEqual(list.map(project => project.id), ['p1', 'p2', 'p3', 'p5', 'p6', 'p8']);
+  assert.deepEqual(list[0].properties, { tier: '3', owner: 'platform' });
+  assert.deepEqual(list[1].properties, { tier: '1' });
+  assert.equal(list[2].name, 'Project 3 (renamed)');
+
+  assert.ok(run.output.some(line => line.startsWith('Changes since the last sync (')));
+  assert.ok(run.output.some(line => line.includes('  + added: Project 8 (ID: p8)')));
+  assert.ok(run.output.some(line => line.includes('  - removed on the server: Project 4 (ID: p4)')));
+  assert.ok(run.output.some(line => line.includes('  ~ renamed: "Project 3" -> "Project 3 (renamed)" (ID: p3)')));
+  assert.ok(run.output.some(line => line.includes('  ~ properties changed on the server: Project 2 (ID: p2)')));
+  assert.ok(run.output.some(line => line.includes('  * local edits kept: Project 1 (ID: p1)')));
+  assert.ok(!run.output.some(line => line.includes('Project 7')));
+});
+
+test('a local edit of a project that also changed on the server is reported as a conflict', () => {
+  const previous = { fetchedAt: '2026-10-01T00:00:00.000Z', projects: [{ id: 'p1', name: 'Project 1', properties: { tier: '1' } }] };
+  const local = [{ id: 'p1', name: 'Project 1', properties: { tier: '2' } }];
+  const fetched = [{ id: 'p1', name: 'Project 1', properties: { tier: '3' } }];
+
+  const { projects, changes } = syncProjectList(local, fetched, previous);
+
+  assert.deepEqual(projects[0].properties, { tier: '2' });
+  assert.deepEqual(changes.conflicts.map(project => project.id), ['p1']);
+});
+
+test('--overwrite discards the local edits', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', [{ id: 'p1', name: 'Project 1', properties: { tier: '3' } }]);
+
+  await getProperties(run, { overwrite: true });
+
+  const list = await run.readJson('projectList.json');
+  assert.equal(list.length, 7);
+  assert.deepEqual(list[0].properties, { tier: '1', owner: 'platform' });
+});
+
+test('branches records the fetch time and reports the branch changes', async (t) => {
+  const run = await setup(t);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('branchesList.json'), format: 'json' };
+  await getProjectBranches(options);
+
+  run.mock.state.branches.find(branch => branch.id === 'p1-develop').name = 'development';
+  run.mock.state.branches.push({ id: 'p3-feature', name: 'feature/x', projectId: 'p3' });
+  await getProjectBranches(options);
+
+  const branchesList = await run.readJson('branchesList.json');
+  assert.match(branchesList.fetchedAt, /^\d{4}-\d\d-\d\dT/);
+  assert.equal(branchesList.data.length, 10);
+  assert.ok(run.output.some(line => line.includes('  + added: feature/x (ID: p3-feature, project p3)')));
+  assert.ok(run.output.some(line => line.includes('  ~ renamed: "develop" -> "development" (ID: p1-develop)')));
+});
+
+test('access refreshes a project list that is older than projectListMaxAgeHours', async (t) => {
+  const run = await setup(t, { config: { projectListMaxAgeHours: 1 } });
+  await run.writeJson('projectList.json', [{ id: 'p1', name: 'Project 1' }]);
+  const options = { configPath: run.configPath, input: run.path('projectList.json'), output: run.path('detailsList.json'), format: 'json' };
+
+  // Without a cache the list is reused as it is
+  await getProjectUserInformation(options);
+  assert.ok(run.output.some(line => line.includes('its fetch time is unknown, use --refresh')));
+  assert.equal((await run.readJson('projectList.json')).length, 1);
+
+  await run.writeJson('projectList.cache.json', { fetchedAt: new Date(Date.now() - 2 * 3600000).toISOString(), projects: [{ id: 'p1', name: 'Project 1' }] });
+  await getProjectUserInformation(options);
+
+  assert.ok(run.output.some(line => line.includes('was fetched 2 hours ago, refreshing it.')));
+  assert.equal((await run.readJson('projectList.json')).length, 7);
+  assert.ok(Date.now() - Date.parse((await run.readJson('projectList.cache.json')).fetchedAt) < 60000);
+});
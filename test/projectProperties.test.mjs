@@ -0,0 +1,102 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProjectList } from '../src/getProjectList.mjs';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { setProjectProperties } from '../src/setProjectProperties.mjs';
+import { setup } from './helpers.mjs';
+
+const setPropertyPath = '/api/common/async/v0/projects/batch/set-property';
+
+const projectProperties = (run, id) => run.mock.state.projects.find(project => project.id === id).properties;
+
+test('projects writes the project list as JSON and CSV', async (t) => {
+  const run = await setup(t);
+
+  await getProjectList({ configPath: run.configPath, output: run.path('projectList.json') });
+
+  const projects = await run.readJson('projectList.json');
+  assert.equal(projects.length, 7);
+  assert.deepEqual(projects[0], { id: 'p1', name: 'Project 1', type: 'project' });
+
+  const csvLines = (await run.readText('projectList.overview.csv')).trim().split('\n');
+  assert.equal(csvLines[0], 'ID,Name,Type');
+  assert.equal(csvLines.length, 8);
+
+  // The overview is not edited, so it is overwritten without asking
+  run.mock.state.projects[0].name = 'Project 1 (renamed)';
+  await getProjectList({ configPath: run.configPath, output: run.path('projectList.json') });
+  assert.equal((await run.readText('projectList.overview.csv')).trim().split('\n')[1], 'p1,Project 1 (renamed),project');
+});
+
+test('properties get writes placeholders for projects without properties', async (t) => {
+  const run = await setup(t);
+
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json', yes: true });
+
+  const projects = await run.readJson('projectList.json');
+  assert.deepEqual(projects[0].properties, { tier: '1', owner: 'platform' });
+  assert.deepEqual(projects[2].properties, { key: 'value' });
+});
+
+test('properties set --dry-run prints the diff without changing anything', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', [
+    { id: 'p1', properties: { tier: '2', owner: 'platform' } },
+    { id: 'p3', properties: { key: 'value' } }
+  ]);
+
+  await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), dryRun: true });
+
+  assert.ok(run.output.some(line => line.includes('  ~ tier: "1" -> "2"')));
+  assert.ok(!run.mock.requests.some(request => request.path === setPropertyPath));
+  assert.deepEqual(projectProperties(run, 'p1'), { tier: '1', owner: 'platform' });
+});
+
+test('properties set batches identical changes and waits for the job', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', ['p3', 'p4', 'p5'].map(id => ({ id, properties: { tier: '3' } })));
+
+  const { succeeded, failed } = await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true });
+
+  assert.deepEqual(succeeded.map(entry => entry.id), ['p3', 'p4', 'p5']);
+  assert.deepEqual(failed, []);
+  assert.equal(run.mock.requests.filter(request => request.path === setPropertyPath).length, 1);
+  assert.deepEqual(projectProperties(run, 'p4'), { tier: '3' });
+});
+
+test('properties set merge keeps the keys that are not listed', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', [{ id: 'p1', properties: { tier: '0' } }]);
+
+  await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), operation: 'merge', yes: true });
+
+  assert.deepEqual(projectProperties(run, 'p1'), { tier: '0', owner: 'platform' });
+});
+
+test('properties set reports the projects whose job failed and exits with 1', async (t) => {
+  const run = await setup(t);
+  run.mock.state.failingProjects.add('p4');
+  await run.writeJson('projectList.json', ['p3', 'p4', 'p5'].map(id => ({ id, properties: { tier: '3' } })));
+
+  const { succeeded, failed } = await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true });
+
+  // The failed batch is retried one project at a time
+  assert.deepEqual(succeeded.map(entry => entry.id), ['p3', 'p5']);
+  assert.deepEqual(failed.map(entry => entry.id), ['p4']);
+  assert.equal(run.mock.requests.filter(request => request.path === setPropertyPath).length, 4);
+  assert.deepEqual(projectProperties(run, 'p4'), {});
+  assert.equal(process.exitCode, 1);
+});
+
+test('properties set skips projects that are not found', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('projectList.json', [
+    { id: 'p3', properties: { tier: '3' } },
+    { id: 'missing', properties: { tier: '3' } }
+  ]);
+
+  const { succeeded } = await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true });
+
+  assert.deepEqual(succeeded.map(entry => entry.id), ['p3']);
+  assert.ok(run.output.includes('Project ID missing was not found and will be skipped.'));
+});
@@ -0,0 +1,107 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { setProjectProperties } from '../src/setProjectProperties.mjs';
+import { readPropertiesCsv } from '../src/propertiesCsv.mjs';
+import { setup } from './helpers.mjs';
+
+const writeCsv = (run, name, lines) => fs.writeFile(run.path(name), lines.join('\r\n') + '\r\n', 'utf8');
+
+test('properties get writes one column per property key', async (t) => {
+  const run = await setup(t);
+
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), yes: true });
+
+  const lines = (await run.readText('projectList.csv')).trim().split('\n');
+  assert.equal(lines[0], 'ID,Name,Type,property:owner,property:tier,Branches');
+  assert.match(lines[1], /^p1,Project 1,project,platform,1,http/);
+  assert.match(lines[3], /^p3,Project 3,project,,,http/);
+});
+
+test('the edited CSV is applied back: filled cells set keys, emptied cells remove them', async (t) => {
+  const run = await setup(t);
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'csv', yes: true });
+
+  // What an app-owner does in Excel: change a value, clear one, add a column
+  const [header, ...rows] = (await run.readText('projectList.csv')).trim().split('\n');
+  await writeCsv(run, 'edited.csv', [
+    header.replace('property:tier', 'property:tier,property:businessUnit'),
+    ...rows.map(row => {
+      const cells = row.split(',');
+      if (cells[0] === 'p1') {
+        return [cells[0], cells[1], cells[2], '', '2', 'payments', cells[5]].join(',');
+      }
+      return [...cells.slice(0, 5), '', cells[5]].join(',');
+    })
+  ]);
+
+  const { succeeded } = await setProjectProperties({ configPath: run.configPath, input: run.path('edited.csv'), yes: true });
+
+  assert.deepEqual(succeeded.map(entry => entry.id), ['p1']);
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '2', businessUnit: 'payments' });
+  assert.deepEqual(run.mock.state.projects[1].properties, { tier: '2' });
+});
+
+test('an unedited export with numbers and booleans plans no changes', async (t) => {
+  const run = await setup(t);
+  run.mock.state.projects[0].properties = { tier: 1, flag: true, owner: 'platform' };
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'csv', yes: true });
+
+  await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.csv'), dryRun: true });
+
+  assert.ok(run.output.includes('Nothing to update.'));
+});
+
+test('unknown columns are rejected before anything is sent', async (t) => {
+  const run = await setup(t);
+  await writeCsv(run, 'edited.csv', ['ID,Name,tier', 'p1,Project 1,2']);
+
+  await assert.rejects(
+    setProjectProperties({ configPath: run.configPath, input: run.path('edited.csv'), yes: true }),
+    /unknown columns: tier\. Property columns must be named "property:<key>"/
+  );
+  assert.equal(run.mock.requests.length, 0);
+});
+
+test('a CSV without property columns is rejected', async (t) => {
+  const run = await setup(t);
+  await writeCsv(run, 'projects.csv', ['ID,Name,Type', 'p1,Project 1,project', 'p2,Project 2,project']);
+
+  await assert.rejects(
+    setProjectProperties({ configPath: run.configPath, input: run.path('projects.csv'), yes: true }),
+    /has no "property:<key>" columns/
+  );
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', owner: 'platform' });
+});
+
+test('unknown project IDs stop the run before anything is applied', async (t) => {
+  const run = await setup(t);
+  await writeCsv(run, 'edited.csv', ['ID,property:tier', 'p1,2', 'p-typo,2']);
+
+  await assert.rejects(
+    setProjectProperties({ configPath: run.configPath, input: run.path('edited.csv'), yes: true }),
+    /lists unknown project IDs: p-typo/
+  );
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', owner: 'platform' });
+});
+
+test('rows without an ID or with a repeated ID are rejected', async (t) => {
+  const run = await setup(t);
+
+  await writeCsv(run, 'missing.csv', ['ID,property:tier', 'p1,2', ',3']);
+  await assert.rejects(readPropertiesCsv(run.path('missing.csv')), /row 3 has no project ID/);
+
+  await writeCsv(run, 'repeated.csv', ['ID,property:tier', 'p1,2', 'p1,3']);
+  await assert.rejects(readPropertiesCsv(run.path('repeated.csv')), /row 3: project ID p1 is listed more than once/);
+});
+
+test('the older CSV export with a JSON Properties column is still read', async (t) => {
+  const run = await setup(t);
+  await writeCsv(run, 'old.csv', ['ID,Type,Properties,Name', 'p1,project,"{""tier"":""4""}",Project 1', 'p2,project,"{""key"":""value""}",Project 2']);
+
+  assert.deepEqual(await readPropertiesCsv(run.path('old.csv')), [
+    { id: 'p1', name: 'Project 1', properties: { tier: '4' } },
+    { id: 'p2', name: 'Project 2', properties: { key: 'value' } }
+  ]);
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { expandRules } from '../src/propertyRules.mjs';
+import { setProjectProperties } from '../src/setProjectProperties.mjs';
+import { setup } from './helpers.mjs';
+
+const projects = [
+  { id: 'a', name: 'payments-api', type: 'service' },
+  { id: 'b', name: 'payments-ui', type: 'library' },
+  { id: 'c', name: 'search', type: 'library' }
+];
+
+const ruleSet = {
+  templates: {
+    payments: { businessUnit: 'payments', tier: '1' }
+  },
+  rules: [
+    { match: { name: '^payments-' }, template: 'payments' },
+    { match: { type: 'library' }, properties: { tier: '3' } }
+  ]
+};
+
+test('rules expand into one merge entry per matched project, later rules winning', () => {
+  assert.deepEqual(expandRules(ruleSet, projects), [
+    { id: 'a', name: 'payments-api', operation: 'merge', properties: { businessUnit: 'payments', tier: '1' }, remove: [], rules: ['Rule 1'] },
+    { id: 'b', name: 'payments-ui', operation: 'merge', properties: { businessUnit: 'payments', tier: '3' }, remove: [], rules: ['Rule 1', 'Rule 2'] },
+    { id: 'c', name: 'search', operation: 'merge', properties: { tier: '3' }, remove: [], rules: ['Rule 2'] }
+  ]);
+});
+
+test('a later rule can put back a key an earlier rule removed', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('rules.json', {
+    rules: [
+      { remove: ['owner'] },
+      { match: { id: 'p1' }, properties: { owner: 'x' } }
+    ]
+  });
+
+  await setProjectProperties({ configPath: run.configPath, rules: run.path('rules.json'), yes: true });
+
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', owner: 'x' });
+});
+
+test('a rule must match on every field it names', () => {
+  const entries = expandRules({ rules: [{ match: { name: 'payments', type: 'service', id: ['a', 'c'] }, properties: { x: '1' } }] }, projects);
+
+  assert.deepEqual(entries.map(entry => entry.id), ['a']);
+});
+
+test('invalid rules are rejected', () => {
+  assert.throws(() => expandRules({ rules: [] }, projects), /non-empty "rules" list/);
+  assert.throws(() => expandRules({ rules: [{ template: 'missing' }] }, projects), /Rule 1: unknown template "missing"/);
+  assert.throws(() => expandRules({ rules: [{ match: { owner: 'x' } }] }, projects), /"match" may only contain/);
+  assert.throws(() => expandRules({ rules: [{ match: { name: '(' } }] }, projects), /invalid name pattern/);
+  assert.throws(() => expandRules({ rules: [{ operation: 'unset' }] }, projects), /unknown operation "unset"/);
+});
+
+test('properties set --rules previews and applies the expanded changes', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('rules.json', {
+    templates: { core: { businessUnit: 'core' } },
+    rules: [
+      { match: { name: '^Project [12]$' }, template: 'core', remove: ['owner'] }
+    ]
+  });
+
+  await setProjectProperties({ configPath: run.configPath, rules: run.path('rules.json'), dryRun: true });
+  assert.ok(run.output.includes('Rules loaded from ' + run.path('rules.json') + ': 2 of 7 projects matched'));
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', owner: 'platform' });
+
+  const { succeeded } = await setProjectProperties({ configPath: run.configPath, rules: run.path('rules.json'), yes: true });
+
+  assert.deepEqual(succeeded.map(entry => entry.id), ['p1', 'p2']);
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', businessUnit: 'core' });
+  assert.deepEqual(run.mock.state.projects[1].properties, { tier: '2', businessUnit: 'core' });
+});
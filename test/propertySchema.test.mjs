@@ -0,0 +1,87 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSchema, validateProperties } from '../src/propertySchema.mjs';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { setProjectProperties } from '../src/setProjectProperties.mjs';
+import { setup } from './helpers.mjs';
+
+const schema = {
+  required: ['tier'],
+  properties: {
+    tier: { type: 'integer', pattern: '^[1-3]$' },
+    owner: { type: 'string' },
+    businessUnit: { enum: ['payments', 'core', 'platform'] }
+  }
+};
+
+test('valid properties have no violations', () => {
+  assert.deepEqual(validateProperties(compileSchema(schema), { tier: '2', businessUnit: 'core' }), []);
+});
+
+test('unknown keys, missing keys, types, enums and patterns are reported', () => {
+  const violations = validateProperties(compileSchema(schema), { buisnessUnit: 'core', owner: 5, businessUnit: 'sales' });
+
+  assert.deepEqual(violations, [
+    'missing required key "tier"',
+    'unknown key "buisnessUnit"',
+    '"owner": 5 is not of type string',
+    '"businessUnit": "sales" is not one of "payments", "core", "platform"'
+  ]);
+  assert.deepEqual(validateProperties(compileSchema(schema), { tier: '7' }), ['"tier": "7" does not match ^[1-3]$']);
+  assert.deepEqual(validateProperties(compileSchema(schema), { tier: 'x' }), ['"tier": "x" is not of type integer', '"tier": "x" does not match ^[1-3]$']);
+});
+
+test('required keys are not checked on partial properties', () => {
+  assert.deepEqual(validateProperties(compileSchema(schema), { owner: 'ann' }, { complete: false }), []);
+});
+
+test('invalid schemas are rejected', () => {
+  assert.throws(() => compileSchema({ properties: { tier: { type: 'date' } } }), /unknown type "date"/);
+  assert.throws(() => compileSchema({ properties: { tier: { pattern: '(' } } }), /invalid pattern for "tier"/);
+  assert.throws(() => compileSchema({ required: 'tier' }), /"required" as a list/);
+});
+
+test('properties set stops before any API call when the project list is invalid', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('schema.json', schema);
+  await run.writeJson('projectList.json', [
+    { id: 'p1', name: 'Project 1', properties: { tier: '2', buisnessUnit: 'core' } },
+    { id: 'p2', name: 'Project 2', properties: { tier: '3' } }
+  ]);
+
+  await assert.rejects(
+    setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), schema: run.path('schema.json'), yes: true }),
+    /do not match the property schema, no changes made/
+  );
+
+  assert.equal(run.mock.requests.length, 0);
+  assert.ok(run.output.includes('Property schema violations in 1 of 2 projects:'));
+  assert.ok(run.output.includes('  Project 1 (ID: p1):'));
+  assert.ok(run.output.includes('    - unknown key "buisnessUnit"'));
+});
+
+test('properties set checks the merged result against the schema', async (t) => {
+  const run = await setup(t, { config: { propertySchema: 'schema.json' } });
+  await run.writeJson('schema.json', schema);
+  await run.writeJson('projectList.json', [{ id: 'p2', operation: 'merge', properties: { tier: null, owner: 'bob' } }]);
+
+  await assert.rejects(
+    setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true }),
+    /do not match the property schema/
+  );
+
+  assert.ok(run.output.includes('    - missing required key "tier"'));
+  assert.deepEqual(run.mock.state.projects[1].properties, { tier: '2' });
+});
+
+test('properties get --audit reports the live violations without writing files', async (t) => {
+  const run = await setup(t);
+  await run.writeJson('schema.json', schema);
+
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), schema: run.path('schema.json'), audit: true });
+
+  assert.ok(run.output.includes('Property schema violations in 5 of 7 projects:'));
+  assert.ok(run.output.includes('  Project 3 (ID: p3):'));
+  assert.equal(process.exitCode, 1);
+  await assert.rejects(run.readText('projectList.json'), { code: 'ENOENT' });
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import { getProjectProperties } from '../src/getProjectProperties.mjs';
+import { setProjectProperties } from '../src/setProjectProperties.mjs';
+import { diffPropertySnapshots } from '../src/diffPropertySnapshots.mjs';
+import { rollbackProjectProperties } from '../src/rollbackProjectProperties.mjs';
+import { setup } from './helpers.mjs';
+
+const snapshotFiles = async (run) => (await fs.readdir(run.path('snapshots'))).sort();
+
+test('properties get and properties set save a snapshot of the properties', async (t) => {
+  const run = await setup(t);
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json' });
+
+  const [first] = await snapshotFiles(run);
+  assert.match(first, /^properties-\d{4}-\d\d-\d\dT\d\d-\d\d-\d\d-\d{3}Z\.json$/);
+  const snapshot = await run.readJson(`snapshots/${first}`);
+  assert.equal(snapshot.source, 'properties get');
+  assert.deepEqual(snapshot.projects[0], { id: 'p1', name: 'Project 1', properties: { tier: '1', owner: 'platform' } });
+
+  await run.writeJson('projectList.json', [{ id: 'p3', properties: { tier: '3' } }]);
+  await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true });
+
+  const files = await snapshotFiles(run);
+  assert.equal(files.length, 2);
+  const before = await run.readJson(`snapshots/${files[1]}`);
+  assert.equal(before.source, 'properties set');
+  assert.deepEqual(before.projects[2].properties, {});
+});
+
+test('snapshots go next to the config file when snapshotDir is not set', async (t) => {
+  const run = await setup(t, { config: { snapshotDir: '' } });
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json' });
+
+  assert.equal((await snapshotFiles(run)).length, 1);
+});
+
+test('properties diff reports the drift of the live properties since a snapshot', async (t) => {
+  const run = await setup(t);
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json' });
+
+  await diffPropertySnapshots({ configPath: run.configPath });
+  assert.ok(run.output.some(line => line.startsWith('No property differences between')));
+  assert.equal(process.exitCode, undefined);
+
+  run.mock.state.projects[0].properties = { tier: '2', owner: 'platform', region: 'eu' };
+  const { changed } = await diffPropertySnapshots({ configPath: run.configPath });
+
+  assert.deepEqual(changed.map(project => project.id), ['p1']);
+  assert.ok(run.output.includes('  + region: "eu"\n  ~ tier: "1" -> "2"'));
+  assert.equal(process.exitCode, 1);
+});
+
+test('properties diff compares two snapshots by time stamp', async (t) => {
+  const run = await setup(t);
+  await fs.mkdir(run.path('snapshots'));
+  await run.writeJson('snapshots/properties-2026-10-01T08-00-00-000Z.json', {
+    takenAt: '2026-10-01T08:00:00.000Z',
+    projects: [{ id: 'p1', name: 'Project 1', properties: { tier: '1' } }, { id: 'p2', name: 'Project 2', properties: {} }]
+  });
+  await run.writeJson('snapshots/properties-2026-10-02T08-00-00-000Z.json', {
+    takenAt: '2026-10-02T08:00:00.000Z',
+    projects: [{ id: 'p1', name: 'Project 1', properties: {} }, { id: 'p3', name: 'Project 3', properties: {} }]
+  });
+
+  const { changed, added, removed } = await diffPropertySnapshots({ configPath: run.configPath, from: '10-01', to: 'latest' });
+
+  assert.deepEqual(changed.map(project => project.id), ['p1']);
+  assert.deepEqual(added.map(project => project.id), ['p3']);
+  assert.deepEqual(removed.map(project => project.id), ['p2']);
+  await assert.rejects(diffPropertySnapshots({ configPath: run.configPath, from: '2026-10' }), /matches 2 snapshots/);
+});
+
+test('properties rollback restores the properties of a snapshot', async (t) => {
+  const run = await setup(t);
+  await getProjectProperties({ configPath: run.configPath, output: run.path('projectList.json'), format: 'json' });
+  const [taken] = await snapshotFiles(run);
+
+  await run.writeJson('projectList.json', [
+    { id: 'p1', properties: { tier: '3' } },
+    { id: 'p3', properties: { tier: '3' } }
+  ]);
+  await setProjectProperties({ configPath: run.configPath, input: run.path('projectList.json'), yes: true });
+
+  await rollbackProjectProperties({ configPath: run.configPath, snapshot: run.path(`snapshots/${taken}`), dryRun: true });
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '3' });
+
+  const { succeeded, failed } = await rollbackProjectProperties({ configPath: run.configPath, snapshot: taken.slice('properties-'.length, -'.json'.length), yes: true });
+
+  assert.deepEqual(succeeded.map(entry => entry.id).sort(), ['p1', 'p3']);
+  assert.deepEqual(failed, []);
+  assert.deepEqual(run.mock.state.projects[0].properties, { tier: '1', owner: 'platform' });
+  assert.deepEqual(run.mock.state.projects[2].properties, {});
+  assert.equal((await snapshotFiles(run)).length, 3);
+});
+
+test('properties rollback needs a snapshot', async (t) => {
+  const run = await setup(t);
+
+  await assert.rejects(rollbackProjectProperties({ configPath: run.configPath }), { name: 'UsageError' });
+  await assert.rejects(rollbackProjectProperties({ configPath: run.configPath, snapshot: 'latest' }), /No property snapshots found/);
+});